@@ -2,6 +2,8 @@ import { ParticleRenderer } from './renderer.js';
 import { ParticleSimulation } from './simulation.js';
 import { UIController } from './ui.js';
 import { PresetLoader } from './presetLoader.js';
+import { WorkerSimulation } from './workerSimulation.js';
+import { SeededRandom } from './random.js';
 
 // Make ParticleSimulation available to UI controller
 window.ParticleSimulation = ParticleSimulation;
@@ -11,6 +13,7 @@ class ParticleAccelerator {
         this.canvas = document.getElementById('canvas');
         this.renderer = null;
         this.simulation = null;
+        this.workerSimulation = null; // Set when physics runs in a Web Worker
         this.ui = null;
         this.presetLoader = new PresetLoader();
         this.isRunning = false;
@@ -20,6 +23,7 @@ class ParticleAccelerator {
         this.fpsTime = 0;
         
         this.mouseShape = null;
+        this.seed = 0; // Seed of the current run, shown in the seed input
         this.init();
     }
 
@@ -39,50 +43,8 @@ class ParticleAccelerator {
             await this.renderer.init();
             
             // Load first preset instead of hardcoded values
-            const firstPreset = this.presetLoader.getPresetByIndex(0);
-            if (firstPreset) {
-                const rect = this.canvas.getBoundingClientRect();
-                
-                this.simulation = new ParticleSimulation(firstPreset.particles);
-                this.simulation.bounds.width = rect.width;
-                this.simulation.bounds.height = rect.height;
-                this.simulation.shapes = firstPreset.shapes || [];
-                this.simulation.sensor = firstPreset.sensor || null;
-                
-                // Set emitter if present - handle centering
-                if (firstPreset.emitter) {
-                    const emitter = {...firstPreset.emitter};
-                    if (emitter.x === -1) {
-                        emitter.x = rect.width / 2;
-                    }
-                    if (emitter.y === -1) {
-                        emitter.y = rect.height / 2;
-                    }
-                    this.simulation.setEmitter(emitter);
-                }
-                
-                // Set force field visibility from preset BEFORE init
-                if (firstPreset.showForceField !== undefined) {
-                    this.simulation.showForceField = firstPreset.showForceField;
-                }
-                
-                // Set wrap edges from preset
-                this.simulation.wrapEdges = firstPreset.wrapEdges || false;
-                
-                this.simulation.init(firstPreset.initType || 'center');
-                
-                // Set renderer properties from preset
-                this.renderer.glowIntensity = firstPreset.glowIntensity || 1.5;
-                this.renderer.particleSize = firstPreset.particleSize || 2.0;
-                
-                // Set simulation speed from preset
-                this.simulation.speedMultiplier = firstPreset.speed || 1.0;
-                
-                // Set damping from preset
-                this.simulation.damping = firstPreset.damping || 0.8;
-                
-                // Update particle count display
-                document.getElementById('particleCount').textContent = firstPreset.particles.toLocaleString();
+            if (this.presetLoader.getPresetByIndex(0)) {
+                this.loadPreset(0);
             } else {
                 // Fallback to default values if no presets available
                 this.simulation = new ParticleSimulation(10000);
@@ -123,20 +85,19 @@ class ParticleAccelerator {
                 moveable: false,
                 color: '#445566'
             };
-            this.simulation.shapes.push(this.mouseShape);
+            this.simulation.setPointerShape(this.mouseShape);
         });
 
         canvas.addEventListener('mousemove', (e) => {
             if (!this.mouseShape) return;
             const pos = getSimPos(e);
-            this.mouseShape.x = pos.x;
-            this.mouseShape.y = pos.y;
+            this.mouseShape = { ...this.mouseShape, x: pos.x, y: pos.y };
+            this.simulation.setPointerShape(this.mouseShape);
         });
 
         const removeMouseShape = () => {
             if (!this.mouseShape) return;
-            const idx = this.simulation.shapes.indexOf(this.mouseShape);
-            if (idx !== -1) this.simulation.shapes.splice(idx, 1);
+            this.simulation.setPointerShape(null);
             this.mouseShape = null;
         };
 
@@ -167,13 +128,7 @@ class ParticleAccelerator {
         
         if (this.simulation) {
             // Use CSS pixels for simulation bounds, not physical pixels
-            this.simulation.bounds.width = rect.width;
-            this.simulation.bounds.height = rect.height;
-            
-            // Reinitialize force field if it exists
-            if (this.simulation.showForceField) {
-                this.simulation.initForceField();
-            }
+            this.simulation.setBounds(rect.width, rect.height);
         }
     }
 
@@ -197,36 +152,24 @@ class ParticleAccelerator {
             this.simulation.update(deltaTime);
         }
         
-        this.renderer.render(
-            this.simulation.positions, 
-            this.simulation.velocities, 
-            this.simulation.shapes,
-            this.simulation.sensor,
-            this.simulation.sensorHits,
-            this.simulation.forceField,
-            this.simulation.forceFieldWidth,
-            this.simulation.forceFieldHeight,
-            this.simulation.forceFieldResolution,
-            this.simulation.emitter
-        );
+        // Either a ParticleSimulation or the WorkerSimulation mirroring one
+        this.renderer.render(this.simulation);
 
         requestAnimationFrame((time) => this.animate(time));
     }
 
     reset(particleCount) {
-        this.simulation.resetShapes(); // Reset shapes to initial positions first
-        this.simulation.particleCount = particleCount;
-        this.simulation.bounds.width = this.canvas.getBoundingClientRect().width;
-        this.simulation.bounds.height = this.canvas.getBoundingClientRect().height;
+        const rect = this.canvas.getBoundingClientRect();
+        this.simulation.setBounds(rect.width, rect.height);
         
         // Use current preset's initType if available, otherwise default to 'center'
         const initType = this.ui?.currentPreset?.initType || 'center';
-        this.simulation.init(initType);
+        this.simulation.reset(particleCount, initType);
         
         document.getElementById('particleCount').textContent = particleCount.toLocaleString();
     }
 
-    loadPreset(presetNameOrIndex) {
+    loadPreset(presetNameOrIndex, overrides = {}) {
         let preset;
         
         const rect = this.canvas.getBoundingClientRect();
@@ -245,32 +188,20 @@ class ParticleAccelerator {
             return;
         }
 
-        this.simulation = new ParticleSimulation(preset.particles);
-        this.simulation.bounds.width = rect.width;
-        this.simulation.bounds.height = rect.height;
-        
-        // Use addShape instead of direct assignment to track initial states
-        this.simulation.shapes = [];
-        this.simulation.initialShapeStates = [];
-        if (preset.shapes) {
-            preset.shapes.forEach(shape => {
-                this.simulation.addShape({...shape}); // Clone to avoid reference issues
-            });
-        }
-        
-        this.simulation.sensor = preset.sensor || null;
-        
-        // Set wrap edges BEFORE setEmitter and init
-        this.simulation.wrapEdges = preset.wrapEdges || false;
-        
-        // Set emitter if present (position already scaled by preset loader)
-        if (preset.emitter) {
-            this.simulation.setEmitter({...preset.emitter});
-        } else {
-            this.simulation.setEmitter(null);
+        // Overrides such as a particle count chosen on the slider
+        preset = { ...preset, ...overrides };
+
+        // Pick a seed up front when the preset has none, so the run can be repeated from the UI
+        if (preset.seed === undefined) {
+            preset.seed = SeededRandom.randomSeed();
         }
-        
-        this.simulation.init(preset.initType || 'center');
+        this.seed = preset.seed;
+        document.getElementById('seedInput').value = preset.seed;
+
+        // The worker keeps its proxy and rebuilds the simulation on its side
+        this.simulation = this.workerSimulation || new ParticleSimulation(preset.particles);
+        this.simulation.setBounds(rect.width, rect.height);
+        this.simulation.loadPreset(preset);
         
         // Set glow intensity if specified, otherwise use brighter default
         if (preset.glowIntensity !== undefined) {
@@ -291,58 +222,45 @@ class ParticleAccelerator {
             document.getElementById('particleSizeValue').textContent = '2.0';
         }
         
-        // Set speed if specified (lowercase 'speed')
-        if (preset.speed !== undefined) {
-            this.simulation.speedMultiplier = preset.speed;
-            // Update UI slider
-            document.getElementById('speedSlider').value = preset.speed;
-            document.getElementById('speedValue').textContent = preset.speed.toFixed(1);
-        } else {
-            this.simulation.speedMultiplier = 1.0; // Default
-            document.getElementById('speedSlider').value = 1.0;
-            document.getElementById('speedValue').textContent = '1.0';
-        }
+        // Update UI sliders to the speed, stepping and damping the simulation picked up
+        const speed = preset.speed !== undefined ? preset.speed : 1.0;
+        document.getElementById('speedSlider').value = speed;
+        document.getElementById('speedValue').textContent = speed.toFixed(1);
         
-        // Set damping if specified
-        if (preset.damping !== undefined) {
-            this.simulation.damping = preset.damping;
-            // Update UI slider
-            document.getElementById('dampingSlider').value = preset.damping;
-            document.getElementById('dampingValue').textContent = preset.damping.toFixed(2);
-        } else {
-            this.simulation.damping = 0.8; // Default
-            document.getElementById('dampingSlider').value = 0.8;
-            document.getElementById('dampingValue').textContent = '0.80';
-        }
+        const substeps = preset.substeps || 1;
+        document.getElementById('substepsSlider').value = substeps;
+        document.getElementById('substepsValue').textContent = substeps;
         
-        // Set force field visibility from preset
-        if (preset.showForceField !== undefined) {
-            this.simulation.setShowForceField(preset.showForceField);
-            const forceFieldCheckbox = document.getElementById('forceFieldCheckbox');
-            if (forceFieldCheckbox) {
-                forceFieldCheckbox.checked = preset.showForceField;
-            }
-        } else {
-            this.simulation.setShowForceField(false);
-            const forceFieldCheckbox = document.getElementById('forceFieldCheckbox');
-            if (forceFieldCheckbox) {
-                forceFieldCheckbox.checked = false;
-            }
+        const stepMs = (preset.stepSize || 1 / 60) * 1000;
+        document.getElementById('stepSizeSlider').value = stepMs;
+        document.getElementById('stepSizeValue').textContent = stepMs.toFixed(1) + ' ms';
+        
+        const damping = preset.damping !== undefined ? preset.damping : 0.8;
+        document.getElementById('dampingSlider').value = damping;
+        document.getElementById('dampingValue').textContent = damping.toFixed(2);
+
+        const thermostat = preset.thermostat || null;
+        const temperature = thermostat?.schedule?.[0]?.[1] ?? thermostat?.temperature ?? 5000;
+        document.getElementById('thermostatSelect').value = thermostat?.type || 'none';
+        document.getElementById('temperatureSlider').value = temperature;
+        document.getElementById('temperatureValue').textContent = temperature.toFixed(0);
+        
+        // Update force field checkbox
+        const forceFieldCheckbox = document.getElementById('forceFieldCheckbox');
+        if (forceFieldCheckbox) {
+            forceFieldCheckbox.checked = preset.showForceField || false;
         }
         
         // Update wrap edges checkbox (single declaration)
         const wrapEdgesCheckbox = document.getElementById('wrapEdgesCheckbox');
         if (wrapEdgesCheckbox) {
-            wrapEdgesCheckbox.checked = this.simulation.wrapEdges;
+            wrapEdgesCheckbox.checked = preset.wrapEdges || false;
         }
 
-        // Set particle collisions flag
-        this.simulation.particleCollisions = preset.particleCollisions !== false;
-
         // Update particle collisions checkbox
         const particleCollisionsCheckbox = document.getElementById('particleCollisionsCheckbox');
         if (particleCollisionsCheckbox) {
-            particleCollisionsCheckbox.checked = this.simulation.particleCollisions;
+            particleCollisionsCheckbox.checked = preset.particleCollisions !== false;
         }
         
         document.getElementById('particleCount').textContent = preset.particles.toLocaleString();
@@ -360,11 +278,34 @@ class ParticleAccelerator {
     }
 
     setSpeed(speed) {
-        this.simulation.speedMultiplier = speed;
+        this.simulation.setSpeed(speed);
+    }
+
+    setSubsteps(substeps) {
+        this.simulation.setSubsteps(substeps);
+    }
+
+    setStepSize(stepSize) {
+        this.simulation.setStepSize(stepSize);
     }
 
     setDamping(damping) {
-        this.simulation.damping = damping;
+        this.simulation.setDamping(damping);
+    }
+
+    setThermostatType(type) {
+        this.simulation.setThermostatType(type);
+        // The slider sets the target; pick it up when a thermostat is switched on
+        this.simulation.setTemperature(parseFloat(document.getElementById('temperatureSlider').value));
+    }
+
+    setTemperature(temperature) {
+        this.simulation.setTemperature(temperature);
+    }
+
+    setSeed(seed) {
+        this.seed = seed;
+        this.simulation.setSeed(seed);
     }
 
     setParticleSize(size) {
@@ -376,11 +317,24 @@ class ParticleAccelerator {
     }
 
     toggleWrapEdges(wrap) {
-        this.simulation.wrapEdges = wrap;
+        this.simulation.setWrapEdges(wrap);
     }
 
     toggleParticleCollisions(enabled) {
-        this.simulation.particleCollisions = enabled;
+        this.simulation.setParticleCollisions(enabled);
+    }
+
+    toggleWorker(enabled, presetIndex) {
+        // Move the simulation between the main thread and a Web Worker by
+        // reloading the current preset on the other side
+        if (enabled && !this.workerSimulation) {
+            this.workerSimulation = new WorkerSimulation();
+        } else if (!enabled && this.workerSimulation) {
+            this.workerSimulation.terminate();
+            this.workerSimulation = null;
+        }
+        this.mouseShape = null;
+        this.loadPreset(presetIndex);
     }
 }
 
@@ -117,11 +117,31 @@ export class PresetLoader {
             scaledPreset.shapes = scaledPreset.shapes.map(shape => {
                 const scaledShape = { ...shape };
                 
+                // Charge scales so the inverse-square acceleration stays in scaled pixels
+                if (shape.charge !== undefined) {
+                    scaledShape.charge = shape.charge * scale * scale * scale;
+                }
+                
+                if (shape.surfaceSpeed !== undefined) {
+                    scaledShape.surfaceSpeed = shape.surfaceSpeed * scale;
+                }
+                
                 if (shape.type === 'rect') {
                     scaledShape.x = shape.x * scale + offsetX;
                     scaledShape.y = shape.y * scale + offsetY;
                     scaledShape.width = shape.width * scale;
                     scaledShape.height = shape.height * scale;
+                    
+                    // Moveable rectangles keep their velocity and inertia in scaled pixels
+                    if (shape.vx !== undefined) {
+                        scaledShape.vx = shape.vx * scale;
+                    }
+                    if (shape.vy !== undefined) {
+                        scaledShape.vy = shape.vy * scale;
+                    }
+                    if (shape.inertia !== undefined) {
+                        scaledShape.inertia = shape.inertia * scale * scale;
+                    }
                 } else if (shape.type === 'circle') {
                     scaledShape.x = shape.x * scale + offsetX;
                     scaledShape.y = shape.y * scale + offsetY;
@@ -137,6 +157,22 @@ export class PresetLoader {
                     if (shape.constantSpeed !== undefined) {
                         scaledShape.constantSpeed = shape.constantSpeed * scale;
                     }
+                } else if (shape.type === 'polygon') {
+                    scaledShape.x = shape.x * scale + offsetX;
+                    scaledShape.y = shape.y * scale + offsetY;
+                    scaledShape.vertices = shape.vertices.map(([x, y]) => [x * scale, y * scale]);
+                } else if (shape.type === 'segment' || shape.type === 'polyline') {
+                    if (shape.type === 'segment') {
+                        scaledShape.x1 = shape.x1 * scale + offsetX;
+                        scaledShape.y1 = shape.y1 * scale + offsetY;
+                        scaledShape.x2 = shape.x2 * scale + offsetX;
+                        scaledShape.y2 = shape.y2 * scale + offsetY;
+                    } else {
+                        scaledShape.points = shape.points.map(([x, y]) => [x * scale + offsetX, y * scale + offsetY]);
+                    }
+                    if (shape.radius !== undefined) {
+                        scaledShape.radius = shape.radius * scale;
+                    }
                 }
                 
                 return scaledShape;
@@ -164,27 +200,129 @@ export class PresetLoader {
             scaledPreset.sensor.height = scaledPreset.sensor.height * scale;
         }
         
-        // Scale emitter
+        // Scale emitters (a single emitter is still accepted for older presets)
         if (scaledPreset.emitter) {
-            scaledPreset.emitter = { ...scaledPreset.emitter };
-            
-            // Handle -1 values (center positioning)
-            if (scaledPreset.emitter.x === -1) {
-                scaledPreset.emitter.x = screenWidth / 2;
-            } else {
-                scaledPreset.emitter.x = scaledPreset.emitter.x * scale + offsetX;
+            scaledPreset.emitter = this.scaleEmitter(scaledPreset.emitter, scale, offsetX, offsetY, screenWidth, screenHeight);
+        }
+        if (scaledPreset.emitters) {
+            scaledPreset.emitters = scaledPreset.emitters.map(emitter =>
+                this.scaleEmitter(emitter, scale, offsetX, offsetY, screenWidth, screenHeight));
+        }
+        
+        // Scale Coulomb settings: distances with the screen, strength like shape charge
+        if (scaledPreset.coulomb) {
+            scaledPreset.coulomb = { ...scaledPreset.coulomb };
+            scaledPreset.coulomb.strength = scaledPreset.coulomb.strength * scale * scale * scale;
+            scaledPreset.coulomb.cutoff = scaledPreset.coulomb.cutoff * scale;
+            if (scaledPreset.coulomb.softening !== undefined) {
+                scaledPreset.coulomb.softening = scaledPreset.coulomb.softening * scale;
             }
-            
-            if (scaledPreset.emitter.y === -1) {
-                scaledPreset.emitter.y = screenHeight / 2;
-            } else {
-                scaledPreset.emitter.y = scaledPreset.emitter.y * scale + offsetY;
+        }
+
+        // Scale forces: positions and regions like shapes, accelerations with the screen
+        if (scaledPreset.forces) {
+            scaledPreset.forces = scaledPreset.forces.map(force => {
+                const scaledForce = { ...force };
+
+                if (force.x !== undefined) {
+                    scaledForce.x = force.x === -1 ? screenWidth / 2 : force.x * scale + offsetX;
+                }
+                if (force.y !== undefined) {
+                    scaledForce.y = force.y === -1 ? screenHeight / 2 : force.y * scale + offsetY;
+                }
+                if (force.ax !== undefined) {
+                    scaledForce.ax = force.ax * scale;
+                }
+                if (force.ay !== undefined) {
+                    scaledForce.ay = force.ay * scale;
+                }
+                if (force.strength !== undefined) {
+                    // strength / dist^falloff must stay an acceleration in scaled pixels
+                    scaledForce.strength = force.strength * Math.pow(scale, 1 + (force.falloff || 0));
+                }
+                if (force.softening !== undefined) {
+                    scaledForce.softening = force.softening * scale;
+                }
+                if (force.region) {
+                    scaledForce.region = this.scaleRegion(force.region, scale, offsetX, offsetY, screenWidth, screenHeight);
+                }
+
+                return scaledForce;
+            });
+        }
+        
+        // Scale inflow edges: stream speed with the screen, density per scaled pixel^2
+        if (scaledPreset.boundaries) {
+            scaledPreset.boundaries = { ...scaledPreset.boundaries };
+            for (const side in scaledPreset.boundaries) {
+                const edge = scaledPreset.boundaries[side];
+                if (typeof edge !== 'object' || edge === null) continue;
+
+                const scaledEdge = { ...edge };
+                if (edge.speed !== undefined) {
+                    scaledEdge.speed = edge.speed * scale;
+                }
+                if (edge.density !== undefined) {
+                    scaledEdge.density = edge.density / (scale * scale);
+                }
+                scaledPreset.boundaries[side] = scaledEdge;
             }
-            
-            scaledPreset.emitter.radius = scaledPreset.emitter.radius * scale;
-            scaledPreset.emitter.particleSpeed = scaledPreset.emitter.particleSpeed * scale;
+        }
+
+        // Scale magnetic field regions (the field strength sets a frequency, so it isn't scaled)
+        if (scaledPreset.magneticFields) {
+            scaledPreset.magneticFields = scaledPreset.magneticFields.map(field => {
+                const scaledField = { ...field };
+                if (field.region) {
+                    scaledField.region = this.scaleRegion(field.region, scale, offsetX, offsetY, screenWidth, screenHeight);
+                }
+                return scaledField;
+            });
         }
         
         return scaledPreset;
     }
+
+    scaleEmitter(emitter, scale, offsetX, offsetY, screenWidth, screenHeight) {
+        const scaledEmitter = { ...emitter };
+
+        // Emitters on a shape are placed relative to its center, so they only scale
+        const attached = emitter.shape !== undefined;
+        const scaleX = (x) => attached ? x * scale : x === -1 ? screenWidth / 2 : x * scale + offsetX;
+        const scaleY = (y) => attached ? y * scale : y === -1 ? screenHeight / 2 : y * scale + offsetY;
+
+        scaledEmitter.x = scaleX(emitter.x);
+        scaledEmitter.y = scaleY(emitter.y);
+        if (emitter.x2 !== undefined) {
+            scaledEmitter.x2 = scaleX(emitter.x2);
+        }
+        if (emitter.y2 !== undefined) {
+            scaledEmitter.y2 = scaleY(emitter.y2);
+        }
+        if (emitter.radius !== undefined) {
+            scaledEmitter.radius = emitter.radius * scale;
+        }
+        if (emitter.particleSpeed !== undefined) {
+            scaledEmitter.particleSpeed = emitter.particleSpeed * scale;
+        }
+
+        return scaledEmitter;
+    }
+
+    scaleRegion(region, scale, offsetX, offsetY, screenWidth, screenHeight) {
+        const scaledRegion = { ...region };
+
+        if (region.type === 'circle') {
+            scaledRegion.x = region.x === -1 ? screenWidth / 2 : region.x * scale + offsetX;
+            scaledRegion.y = region.y === -1 ? screenHeight / 2 : region.y * scale + offsetY;
+            scaledRegion.radius = region.radius * scale;
+        } else {
+            scaledRegion.x = region.x * scale + offsetX;
+            scaledRegion.y = region.y * scale + offsetY;
+            scaledRegion.width = region.width * scale;
+            scaledRegion.height = region.height * scale;
+        }
+
+        return scaledRegion;
+    }
 }
@@ -0,0 +1,37 @@
+// Seeded pseudo-random number generator (mulberry32). The simulation draws all
+// of its randomness from one of these so a preset + seed reproduces a run exactly.
+export class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    static randomSeed() {
+        // Seed for runs that don't ask for one; kept short so it is easy to type back in
+        return Math.floor(Math.random() * 1000000);
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Restart the sequence from the current seed
+    restart() {
+        this.state = this.seed;
+    }
+
+    // Uniform float in [0, 1)
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) | 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Standard normal sample (Box-Muller), drawn from the same sequence
+    gaussian() {
+        const u = 1 - this.next(); // (0, 1] so the log stays finite
+        const v = this.next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
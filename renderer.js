@@ -5,6 +5,10 @@ export class ParticleRenderer {
         this.program = null;
         this.positionBuffer = null;
         this.velocityBuffer = null;
+        this.radiusBuffer = null;
+        this.speciesBuffer = null;
+        this.frozenBuffer = null;
+        this.fadeBuffer = null;
         this.particleSize = 2.0;
         this.glowIntensity = 1.0;
     }
@@ -27,9 +31,17 @@ export class ParticleRenderer {
             
             in vec2 a_position;
             in vec2 a_velocity;
+            in float a_radius;
+            in float a_species;
+            in float a_frozen;
+            in float a_fade;
             
             uniform vec2 u_resolution;
             uniform float u_pointSize;
+            uniform float u_baseRadius;
+            uniform bool u_useSpeciesColors;
+            uniform vec3 u_speciesColors[8];
+            uniform vec3 u_frozenColor;
             uniform float u_glowIntensity;
             uniform float u_dpr;
             
@@ -40,7 +52,8 @@ export class ParticleRenderer {
                 vec2 scaledPos = a_position * u_dpr;
                 vec2 clipSpace = (scaledPos / u_resolution) * 2.0 - 1.0;
                 gl_Position = vec4(clipSpace * vec2(1, -1), 0, 1);
-                gl_PointSize = u_pointSize * u_dpr * u_glowIntensity * 0.5;
+                // Particles larger or smaller than the base radius scale their point size to match
+                gl_PointSize = u_pointSize * (a_radius / u_baseRadius) * u_dpr * u_glowIntensity * 0.5;
                 
                 float speed = length(a_velocity);
                 float hue = clamp(speed * 0.002, 0.0, 1.0); // Adjusted for better speed to color mapping
@@ -62,12 +75,23 @@ export class ParticleRenderer {
                 else baseColor = vec3(c, 0, x);
                 
                 baseColor = baseColor + vec3(m);
+
+                // Species colors replace the speed coloring so mixtures stay readable
+                if (u_useSpeciesColors) {
+                    baseColor = u_speciesColors[int(a_species)];
+                }
+
+                // Frozen (stuck) particles stand out from the moving ones
+                if (a_frozen > 0.5) {
+                    baseColor = u_frozenColor;
+                }
                 
                 // Apply glow intensity
                 vec3 finalColor = baseColor * u_glowIntensity + vec3(0.4);
                 finalColor = clamp(finalColor, 0.0, 3.0);
                 
-                v_color = vec4(finalColor, min(0.95 * u_glowIntensity, 1.0));
+                // Particles with a lifetime fade out as they age
+                v_color = vec4(finalColor, min(0.95 * u_glowIntensity, 1.0) * a_fade);
             }
         `;
 
@@ -92,6 +116,10 @@ export class ParticleRenderer {
 
         this.positionBuffer = gl.createBuffer();
         this.velocityBuffer = gl.createBuffer();
+        this.radiusBuffer = gl.createBuffer();
+        this.speciesBuffer = gl.createBuffer();
+        this.frozenBuffer = gl.createBuffer();
+        this.fadeBuffer = gl.createBuffer();
 
         gl.enable(gl.BLEND);
         gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
@@ -131,7 +159,30 @@ export class ParticleRenderer {
         return program;
     }
 
-    render(positions, velocities, shapes = [], sensor = null, sensorHits = null, forceField = null, forceFieldWidth = 0, forceFieldHeight = 0, forceFieldResolution = 20, emitter = null) {
+    render(state) {
+        // state is a ParticleSimulation, or a WorkerSimulation mirroring one from a worker
+        const {
+            particleCount = 0,
+            positions,
+            velocities,
+            radii = null,
+            particleRadius = 2.0,
+            species = null,
+            speciesIds = null,
+            frozen = null,
+            frozenColor = '#ffe080',
+            fades = null,
+            shapes = [],
+            sensor = null,
+            sensorHits = null,
+            forceField = null,
+            forceFieldWidth = 0,
+            forceFieldHeight = 0,
+            forceFieldResolution = 20,
+            emitters = [],
+            forces = [],
+            magneticFields = []
+        } = state;
         const gl = this.gl;
 
         gl.clear(gl.COLOR_BUFFER_BIT);
@@ -141,10 +192,12 @@ export class ParticleRenderer {
             this.drawForceField(forceField, forceFieldWidth, forceFieldHeight, forceFieldResolution);
         }
         
-        // Draw emitter
-        if (emitter) {
-            this.drawEmitter(emitter);
-        }
+        // Draw the regions forces and magnetic fields act in
+        this.drawForces(forces);
+        this.drawMagneticFields(magneticFields);
+        
+        // Draw emitters
+        emitters.forEach(emitter => this.drawEmitter(emitter));
         
         // Draw shapes
         this.drawShapes(shapes);
@@ -154,7 +207,8 @@ export class ParticleRenderer {
             this.drawSensor(sensor, sensorHits);
         }
         
-        // Then draw particles
+        // Then draw particles (a worker may not have posted its first frame yet)
+        if (!positions || !velocities) return;
         gl.useProgram(this.program);
 
         // Position attribute
@@ -171,6 +225,67 @@ export class ParticleRenderer {
         gl.enableVertexAttribArray(velocityLoc);
         gl.vertexAttribPointer(velocityLoc, 2, gl.FLOAT, false, 0, 0);
 
+        // Radius attribute (a constant when every particle shares particleRadius)
+        const radiusLoc = gl.getAttribLocation(this.program, 'a_radius');
+        if (radii) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.radiusBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, radii, gl.DYNAMIC_DRAW);
+            gl.enableVertexAttribArray(radiusLoc);
+            gl.vertexAttribPointer(radiusLoc, 1, gl.FLOAT, false, 0, 0);
+        } else {
+            gl.disableVertexAttribArray(radiusLoc);
+            gl.vertexAttrib1f(radiusLoc, particleRadius);
+        }
+
+        // Species attribute and colors
+        const speciesLoc = gl.getAttribLocation(this.program, 'a_species');
+        const useSpeciesColorsLoc = gl.getUniformLocation(this.program, 'u_useSpeciesColors');
+        if (species && speciesIds) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.speciesBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, speciesIds, gl.DYNAMIC_DRAW);
+            gl.enableVertexAttribArray(speciesLoc);
+            gl.vertexAttribPointer(speciesLoc, 1, gl.UNSIGNED_BYTE, false, 0, 0);
+
+            const colors = new Float32Array(8 * 3);
+            species.forEach((s, i) => {
+                const rgb = this.hexToRgb(s.color || '#ffffff');
+                colors.set([rgb.r, rgb.g, rgb.b], i * 3);
+            });
+            gl.uniform3fv(gl.getUniformLocation(this.program, 'u_speciesColors'), colors);
+            gl.uniform1i(useSpeciesColorsLoc, 1);
+        } else {
+            gl.disableVertexAttribArray(speciesLoc);
+            gl.vertexAttrib1f(speciesLoc, 0);
+            gl.uniform1i(useSpeciesColorsLoc, 0);
+        }
+
+        // Frozen mask
+        const frozenLoc = gl.getAttribLocation(this.program, 'a_frozen');
+        if (frozen) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.frozenBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, frozen, gl.DYNAMIC_DRAW);
+            gl.enableVertexAttribArray(frozenLoc);
+            gl.vertexAttribPointer(frozenLoc, 1, gl.UNSIGNED_BYTE, false, 0, 0);
+
+            const rgb = this.hexToRgb(frozenColor);
+            gl.uniform3f(gl.getUniformLocation(this.program, 'u_frozenColor'), rgb.r, rgb.g, rgb.b);
+        } else {
+            gl.disableVertexAttribArray(frozenLoc);
+            gl.vertexAttrib1f(frozenLoc, 0);
+        }
+
+        // Fade by age
+        const fadeLoc = gl.getAttribLocation(this.program, 'a_fade');
+        if (fades) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.fadeBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, fades, gl.DYNAMIC_DRAW);
+            gl.enableVertexAttribArray(fadeLoc);
+            gl.vertexAttribPointer(fadeLoc, 1, gl.FLOAT, false, 0, 0);
+        } else {
+            gl.disableVertexAttribArray(fadeLoc);
+            gl.vertexAttrib1f(fadeLoc, 1);
+        }
+
         // Uniforms
         const resolutionLoc = gl.getUniformLocation(this.program, 'u_resolution');
         gl.uniform2f(resolutionLoc, this.canvas.width, this.canvas.height);
@@ -178,13 +293,17 @@ export class ParticleRenderer {
         const pointSizeLoc = gl.getUniformLocation(this.program, 'u_pointSize');
         gl.uniform1f(pointSizeLoc, this.particleSize);
 
+        const baseRadiusLoc = gl.getUniformLocation(this.program, 'u_baseRadius');
+        gl.uniform1f(baseRadiusLoc, particleRadius);
+
         const glowIntensityLoc = gl.getUniformLocation(this.program, 'u_glowIntensity');
         gl.uniform1f(glowIntensityLoc, this.glowIntensity);
 
         const dprLoc = gl.getUniformLocation(this.program, 'u_dpr');
         gl.uniform1f(dprLoc, window.devicePixelRatio || 1);
 
-        gl.drawArrays(gl.POINTS, 0, positions.length / 2);
+        // Slots past particleCount are spare capacity, not live particles
+        gl.drawArrays(gl.POINTS, 0, Math.min(particleCount, positions.length / 2));
     }
 
     drawForceField(forceField, width, height, resolution) {
@@ -405,15 +524,29 @@ export class ParticleRenderer {
                 if (shape.moveable && (shape.vx !== undefined || shape.vy !== undefined)) {
                     this.drawVelocityArrow(shape.x, shape.y, shape.vx || 0, shape.vy || 0, shape.radius);
                 }
+            } else if (shape.type === 'polygon') {
+                this.drawPolygon(shape.x, shape.y, shape.vertices, shape.angle || 0);
+            } else if (shape.type === 'segment' || shape.type === 'polyline') {
+                this.drawWall(shape.x, shape.y, shape.vertices, shape.angle || 0, Math.max(2, (shape.radius || 0) * 2));
             }
             
-            // Draw label if it exists
-            if (shape.label) {
-                this.drawLabel(shape.x, shape.y-20, shape.label);
+            // Draw label if it exists; sinks always show how many particles they took,
+            // and the total momentum and kinetic energy those carried in
+            const label = shape.sink ? this.sinkLabel(shape) : shape.label;
+            if (label) {
+                const labelX = shape.type === 'rect' ? shape.x + shape.width / 2 : shape.x;
+                this.drawLabel(labelX, shape.y-20, label);
             }
         });
     }
 
+    sinkLabel(shape) {
+        const momentum = Math.hypot(shape.sinkMomentumX || 0, shape.sinkMomentumY || 0);
+        const format = value => value >= 1e5 ? value.toExponential(1) : value.toFixed(0);
+        return `${shape.label ?? 'Sink'}: ${shape.sinkCount ?? 0}\n` +
+            `|p| ${format(momentum)}  E ${format(shape.sinkEnergy || 0)}`;
+    }
+
     drawCircle(x, y, radius, color) {
         const gl = this.gl;
         const dpr = window.devicePixelRatio || 1;
@@ -493,6 +626,171 @@ export class ParticleRenderer {
         const gl = this.gl;
         const dpr = window.devicePixelRatio || 1;
 
+        this.initRectProgram();
+        gl.useProgram(this.rectProgram);
+
+        // Apply DPR scaling
+        const x1 = x * dpr;
+        const y1 = y * dpr;
+        const w = width * dpr;
+        const h = height * dpr;
+
+        // Create rectangle vertices
+        const vertices = new Float32Array([
+            x1, y1,
+            x1 + w, y1,
+            x1, y1 + h,
+            x1, y1 + h,
+            x1 + w, y1,
+            x1 + w, y1 + h
+        ]);
+
+        const posLoc = gl.getAttribLocation(this.rectProgram, 'a_position');
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.rectBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+
+        const resLoc = gl.getUniformLocation(this.rectProgram, 'u_resolution');
+        gl.uniform2f(resLoc, this.canvas.width, this.canvas.height);
+
+        const centerLoc = gl.getUniformLocation(this.rectProgram, 'u_center');
+        gl.uniform2f(centerLoc, (x + width / 2) * dpr, (y + height / 2) * dpr);
+
+        const angleLoc = gl.getUniformLocation(this.rectProgram, 'u_angle');
+        gl.uniform1f(angleLoc, angle);
+
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+
+    drawPolygon(x, y, polygon, angle = 0) {
+        // Drawn with the rectangle shader, rotating about the polygon's pivot
+        const gl = this.gl;
+        const dpr = window.devicePixelRatio || 1;
+
+        this.initRectProgram();
+        gl.useProgram(this.rectProgram);
+
+        const triangles = this.triangulate(polygon);
+        const vertices = new Float32Array(triangles.length * 2);
+        triangles.forEach((index, i) => {
+            vertices[i * 2] = (x + polygon[index][0]) * dpr;
+            vertices[i * 2 + 1] = (y + polygon[index][1]) * dpr;
+        });
+
+        const posLoc = gl.getAttribLocation(this.rectProgram, 'a_position');
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.rectBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+
+        const resLoc = gl.getUniformLocation(this.rectProgram, 'u_resolution');
+        gl.uniform2f(resLoc, this.canvas.width, this.canvas.height);
+
+        const centerLoc = gl.getUniformLocation(this.rectProgram, 'u_center');
+        gl.uniform2f(centerLoc, x * dpr, y * dpr);
+
+        const angleLoc = gl.getUniformLocation(this.rectProgram, 'u_angle');
+        gl.uniform1f(angleLoc, angle);
+
+        gl.drawArrays(gl.TRIANGLES, 0, triangles.length);
+    }
+
+    drawWall(x, y, points, angle = 0, width = 2) {
+        // One quad per edge of the chain, drawn with the rectangle shader
+        const gl = this.gl;
+        const dpr = window.devicePixelRatio || 1;
+
+        this.initRectProgram();
+        gl.useProgram(this.rectProgram);
+
+        const vertices = new Float32Array((points.length - 1) * 12);
+        for (let i = 0; i + 1 < points.length; i++) {
+            const [ax, ay] = points[i];
+            const [bx, by] = points[i + 1];
+            const length = Math.sqrt((bx - ax) ** 2 + (by - ay) ** 2) || 1;
+            const offsetX = -(by - ay) / length * width / 2;
+            const offsetY = (bx - ax) / length * width / 2;
+            const corners = [
+                ax + offsetX, ay + offsetY,
+                bx + offsetX, by + offsetY,
+                ax - offsetX, ay - offsetY,
+                ax - offsetX, ay - offsetY,
+                bx + offsetX, by + offsetY,
+                bx - offsetX, by - offsetY
+            ];
+            for (let j = 0; j < 12; j += 2) {
+                vertices[i * 12 + j] = (x + corners[j]) * dpr;
+                vertices[i * 12 + j + 1] = (y + corners[j + 1]) * dpr;
+            }
+        }
+
+        const posLoc = gl.getAttribLocation(this.rectProgram, 'a_position');
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.rectBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+
+        const resLoc = gl.getUniformLocation(this.rectProgram, 'u_resolution');
+        gl.uniform2f(resLoc, this.canvas.width, this.canvas.height);
+
+        const centerLoc = gl.getUniformLocation(this.rectProgram, 'u_center');
+        gl.uniform2f(centerLoc, x * dpr, y * dpr);
+
+        const angleLoc = gl.getUniformLocation(this.rectProgram, 'u_angle');
+        gl.uniform1f(angleLoc, angle);
+
+        gl.drawArrays(gl.TRIANGLES, 0, vertices.length / 2);
+    }
+
+    triangulate(polygon) {
+        // Ear clipping, so concave polygons fill correctly. Returns vertex indices,
+        // three per triangle
+        const n = polygon.length;
+        let area = 0;
+        for (let i = 0; i < n; i++) {
+            const [ax, ay] = polygon[i];
+            const [bx, by] = polygon[(i + 1) % n];
+            area += ax * by - bx * ay;
+        }
+        const winding = area < 0 ? -1 : 1;
+        const cross = (a, b, c) => ((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])) * winding;
+
+        const remaining = polygon.map((_, i) => i);
+        const triangles = [];
+        while (remaining.length > 3) {
+            let clipped = false;
+            for (let i = 0; i < remaining.length; i++) {
+                const prev = remaining[(i + remaining.length - 1) % remaining.length];
+                const current = remaining[i];
+                const next = remaining[(i + 1) % remaining.length];
+                const a = polygon[prev];
+                const b = polygon[current];
+                const c = polygon[next];
+                if (cross(a, b, c) <= 0) continue; // Reflex corner
+
+                // An ear holds none of the other remaining vertices
+                const blocked = remaining.some(j => j !== prev && j !== current && j !== next &&
+                    cross(a, b, polygon[j]) >= 0 && cross(b, c, polygon[j]) >= 0 && cross(c, a, polygon[j]) >= 0);
+                if (blocked) continue;
+
+                triangles.push(prev, current, next);
+                remaining.splice(i, 1);
+                clipped = true;
+                break;
+            }
+            // Degenerate outlines have no ear left; fill the rest as a fan
+            if (!clipped) break;
+        }
+        for (let i = 1; i + 1 < remaining.length; i++) {
+            triangles.push(remaining[0], remaining[i], remaining[i + 1]);
+        }
+        return triangles;
+    }
+
+    initRectProgram() {
+        const gl = this.gl;
+
         // Create a simple shader program for rectangles if not exists
         if (!this.rectProgram) {
             const vertexShader = this.createShader(gl.VERTEX_SHADER, `#version 300 es
@@ -534,41 +832,6 @@ export class ParticleRenderer {
 
             this.rectBuffer = gl.createBuffer();
         }
-
-        gl.useProgram(this.rectProgram);
-
-        // Apply DPR scaling
-        const x1 = x * dpr;
-        const y1 = y * dpr;
-        const w = width * dpr;
-        const h = height * dpr;
-
-        // Create rectangle vertices
-        const vertices = new Float32Array([
-            x1, y1,
-            x1 + w, y1,
-            x1, y1 + h,
-            x1, y1 + h,
-            x1 + w, y1,
-            x1 + w, y1 + h
-        ]);
-
-        const posLoc = gl.getAttribLocation(this.rectProgram, 'a_position');
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.rectBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-
-        const resLoc = gl.getUniformLocation(this.rectProgram, 'u_resolution');
-        gl.uniform2f(resLoc, this.canvas.width, this.canvas.height);
-
-        const centerLoc = gl.getUniformLocation(this.rectProgram, 'u_center');
-        gl.uniform2f(centerLoc, (x + width / 2) * dpr, (y + height / 2) * dpr);
-
-        const angleLoc = gl.getUniformLocation(this.rectProgram, 'u_angle');
-        gl.uniform1f(angleLoc, angle);
-
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
     }
 
     drawEmitter(emitter) {
@@ -607,16 +870,40 @@ export class ParticleRenderer {
 
         gl.useProgram(this.emitterProgram);
 
-        // Create circle vertices using triangle fan
+        // Lines and arcs are drawn as strokes, disks and points as filled circles
+        // (triangle fan). Positions come from the simulation, which moves emitters
+        // along with the shapes they are attached to.
         const segments = 32;
-        const vertices = [emitter.x * dpr, emitter.y * dpr]; // Center point
-        
-        for (let i = 0; i <= segments; i++) {
-            const angle = (i / segments) * Math.PI * 2;
-            vertices.push(
-                (emitter.x + Math.cos(angle) * emitter.radius) * dpr,
-                (emitter.y + Math.sin(angle) * emitter.radius) * dpr
-            );
+        const x = emitter.originX ?? emitter.x;
+        const y = emitter.originY ?? emitter.y;
+        let vertices;
+        let mode = gl.TRIANGLE_FAN;
+
+        if (emitter.type === 'line') {
+            vertices = [x * dpr, y * dpr, emitter.endX * dpr, emitter.endY * dpr];
+            mode = gl.LINES;
+        } else if (emitter.type === 'arc') {
+            const start = (emitter.startAngle ?? 0) * Math.PI / 180 + (emitter.rotation || 0);
+            const end = (emitter.endAngle ?? 360) * Math.PI / 180 + (emitter.rotation || 0);
+            vertices = [];
+            for (let i = 0; i <= segments; i++) {
+                const angle = start + (end - start) * (i / segments);
+                vertices.push(
+                    (x + Math.cos(angle) * emitter.radius) * dpr,
+                    (y + Math.sin(angle) * emitter.radius) * dpr
+                );
+            }
+            mode = gl.LINE_STRIP;
+        } else {
+            const radius = emitter.type === 'point' ? 3 : emitter.radius;
+            vertices = [x * dpr, y * dpr]; // Center point
+            for (let i = 0; i <= segments; i++) {
+                const angle = (i / segments) * Math.PI * 2;
+                vertices.push(
+                    (x + Math.cos(angle) * radius) * dpr,
+                    (y + Math.sin(angle) * radius) * dpr
+                );
+            }
         }
 
         const posLoc = gl.getAttribLocation(this.emitterProgram, 'a_position');
@@ -633,7 +920,101 @@ export class ParticleRenderer {
         const rgb = this.hexToRgb(emitter.color || '#ff8800');
         gl.uniform3f(colorLoc, rgb.r, rgb.g, rgb.b);
 
-        gl.drawArrays(gl.TRIANGLE_FAN, 0, vertices.length / 2);
+        gl.drawArrays(mode, 0, vertices.length / 2);
+    }
+
+    drawForces(forces) {
+        if (!forces || forces.length === 0) return;
+
+        forces.forEach(force => {
+            if (force.region) {
+                this.drawOutline(force.region, force.color || '#80c0ff');
+            } else if (force.type === 'radial' || force.type === 'vortex') {
+                // Unbounded point forces get a small ring marking their center
+                this.drawOutline({ type: 'circle', x: force.x, y: force.y, radius: 8 }, force.color || '#80c0ff');
+            }
+        });
+    }
+
+    drawMagneticFields(fields) {
+        if (!fields || fields.length === 0) return;
+
+        fields.forEach(field => {
+            if (field.region) {
+                // Field out of the screen in magenta, into the screen in green
+                this.drawOutline(field.region, field.color || (field.bz >= 0 ? '#ff60ff' : '#60ff90'));
+            }
+        });
+    }
+
+    drawOutline(region, color) {
+        const gl = this.gl;
+        const dpr = window.devicePixelRatio || 1;
+
+        if (!this.outlineProgram) {
+            const vertexShader = this.createShader(gl.VERTEX_SHADER, `#version 300 es
+                precision highp float;
+                in vec2 a_position;
+                uniform vec2 u_resolution;
+                
+                void main() {
+                    vec2 clipSpace = (a_position / u_resolution) * 2.0 - 1.0;
+                    gl_Position = vec4(clipSpace * vec2(1, -1), 0, 1);
+                }
+            `);
+
+            const fragmentShader = this.createShader(gl.FRAGMENT_SHADER, `#version 300 es
+                precision highp float;
+                uniform vec3 u_color;
+                out vec4 fragColor;
+                
+                void main() {
+                    fragColor = vec4(u_color, 0.3);
+                }
+            `);
+
+            this.outlineProgram = gl.createProgram();
+            gl.attachShader(this.outlineProgram, vertexShader);
+            gl.attachShader(this.outlineProgram, fragmentShader);
+            gl.linkProgram(this.outlineProgram);
+
+            this.outlineBuffer = gl.createBuffer();
+        }
+
+        gl.useProgram(this.outlineProgram);
+
+        const vertices = [];
+        if (region.type === 'circle') {
+            const segments = 64;
+            for (let i = 0; i < segments; i++) {
+                const angle = (i / segments) * Math.PI * 2;
+                vertices.push(
+                    (region.x + Math.cos(angle) * region.radius) * dpr,
+                    (region.y + Math.sin(angle) * region.radius) * dpr
+                );
+            }
+        } else {
+            const x1 = region.x * dpr;
+            const y1 = region.y * dpr;
+            const x2 = (region.x + region.width) * dpr;
+            const y2 = (region.y + region.height) * dpr;
+            vertices.push(x1, y1, x2, y1, x2, y2, x1, y2);
+        }
+
+        const posLoc = gl.getAttribLocation(this.outlineProgram, 'a_position');
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.outlineBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+
+        const resLoc = gl.getUniformLocation(this.outlineProgram, 'u_resolution');
+        gl.uniform2f(resLoc, this.canvas.width, this.canvas.height);
+
+        const colorLoc = gl.getUniformLocation(this.outlineProgram, 'u_color');
+        const rgb = this.hexToRgb(color);
+        gl.uniform3f(colorLoc, rgb.r, rgb.g, rgb.b);
+
+        gl.drawArrays(gl.LINE_LOOP, 0, vertices.length / 2);
     }
 
     drawVelocityArrow(x, y, vx, vy, radius) {
@@ -734,8 +1115,10 @@ export class ParticleRenderer {
         ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
         ctx.shadowBlur = 4 * dpr;
         
-        // Draw text at shape position
-        ctx.fillText(text, x * dpr, y * dpr);
+        // Draw text at shape position, one line under another
+        text.split('\n').forEach((line, i) => {
+            ctx.fillText(line, x * dpr, (y + i * 14) * dpr);
+        });
         
         // Draw the text canvas onto the WebGL canvas
         const gl = this.gl;
@@ -1,4 +1,17 @@
+import { SeededRandom } from './random.js';
+
 export class ParticleSimulation {
+    // Species colors live in a fixed-size uniform array in the particle shader
+    static maxSpecies = 8;
+    // Emitter indices are kept per particle in an Int16Array (see initEmitterIds)
+    static maxEmitters = 32767;
+
+    // Optional per-particle arrays that move along with a particle when slots are compacted
+    static particleArrays = ['masses', 'radii', 'speciesIds', 'charges', 'frozen', 'births', 'lifetimes',
+        'emitterIds', 'emitterOlder', 'emitterNewer'];
+
+    static edgeTypes = ['reflect', 'wrap', 'absorb', 'inflow', 'outflow'];
+
     constructor(particleCount) {
         this.particleCount = particleCount;
         this.positions = null;
@@ -6,15 +19,62 @@ export class ParticleSimulation {
         this.speedMultiplier = 1.0;
         this.damping = 0.98;
         this.particleRadius = 2.0;
+
+        // Optional per-particle properties (null = every particle uses particleRadius / unit mass)
+        this.masses = null;
+        this.radii = null;
+        this.radiusRange = null; // [min, max] radius drawn per particle at init
+        this.massRange = null;   // [min, max] mass drawn per particle; defaults to area-proportional
+
+        // Optional particle species; speciesIds holds each particle's index into species
+        this.species = null;
+        this.speciesIds = null;
+        this.speciesCollide = null;     // speciesCount^2 flags, 0 = the pair passes through
+        this.speciesRestitution = null; // speciesCount^2 restitution overrides, -1 = use damping
+
+        // Accelerations acting on particles (uniform, radial, vortex, drag), optionally within a region
+        this.forces = [];
+
+        // Electrostatics: per-particle charges (null = uncharged) and the pairwise Coulomb
+        // settings { strength, cutoff, softening }; null disables particle-particle forces
+        this.charges = null;
+        this.particleCharge = 0;
+        this.coulomb = null;
+
+        // How particles interact with each other: 'hard' collisions, or the smooth
+        // 'lennard-jones' / 'soft-repulsive' pair potentials with { epsilon, sigma, cutoff }
+        this.interaction = 'hard';
+        this.interactionParams = { epsilon: 1000, sigma: 4, cutoff: undefined };
+        this.spawnHead = null; // Spacing grid used while placing particles (see beginSpawnSpacing)
+
+        // Sticky aggregation: particles touching a sticky shape freeze in place, and with
+        // sticky on they also freeze onto frozen particles (diffusion-limited aggregation)
+        this.sticky = false;
+        this.frozen = null; // Uint8Array mask, allocated when anything can freeze
+        this.frozenColor = '#ffe080';
+
+        // Thermostat holding the particles at a target temperature, measured as the mean
+        // kinetic energy per particle (m v^2 / 2, in pixels^2/s^2). Null leaves energy alone.
+        // { type: 'rescale' | 'berendsen' | 'andersen', temperature, tau, rate, schedule }
+        this.thermostat = null;
+
+        // Uniform magnetic fields { bz, region } that bend charged particles (no region = everywhere)
+        this.magneticFields = [];
         this.bounds = { width: 1920, height: 1080 };
         
         // Spatial hashing for collision detection
         this.cellSize = 5;
-        this.grid = new Map();
+        this.gridCols = 0;
+        this.gridRows = 0;
+        this.cellStart = null;     // Int32Array: first sorted slot of each cell
+        this.cellCount = null;     // Int32Array: number of particles in each cell
+        this.sortedIndices = null; // Int32Array: particle indices ordered by cell
+        this.particleCells = null; // Int32Array: cell of each particle (-1 if outside)
         
         // Solid collision shapes
         this.shapes = [];
         this.initialShapeStates = []; // Store initial states
+        this.pointerShape = null; // Shape following the mouse, not part of the preset
         this.time = 0;
         
         // Sensor for particle detection
@@ -29,47 +89,277 @@ export class ParticleSimulation {
         this.forceFieldWidth = 0;
         this.forceFieldHeight = 0;
         
-        // Particle emitter
-        this.emitter = null;
-        this.emitterAccumulator = 0;
-        this.activeParticles = 0; // Track actually active particles
+        // Particle emitters (see setEmitters)
+        this.emitters = [];
+
+        // Seconds particles live before returning to the pool (0 = forever); emitters
+        // may set their own. Particles with a lifetime fade out unless fade is off.
+        this.lifetime = 0;
+        this.fade = true;
+        this.lifetimes = null; // Per particle, allocated when anything has a lifetime
+        this.fades = null;     // Per particle opacity for the renderer
+        
+        // Swept shape collisions
+        this.contactSkin = 0.01; // Gap left between a particle and the surface it hit
+        this.sweepNx = 0;        // Entry normal of the last sweepBox hit
+        this.sweepNy = 0;
+        this.closestX = 0;       // Nearest outline point of the last closestOnPolygon call
+        this.closestY = 0;
+        this.closestEdge = 0;
+
+        // Fixed-timestep integration
+        this.stepSize = 1 / 60;     // Simulated seconds per fixed step
+        this.substeps = 1;          // Integration substeps per fixed step
+        this.maxFrameTime = 0.1;    // Longest real frame time accepted, in seconds
+        this.maxStepsPerFrame = 16; // Fixed steps allowed per frame before time is dropped
+        this.timeAccumulator = 0;
         
-        // Edge collision behavior
+        // Edge collision behavior: wrapEdges makes every edge periodic, otherwise each
+        // edge follows its boundary { type, ...options } (see setBoundaries)
         this.wrapEdges = false;
+        this.setBoundaries(null);
+        this.wrapWidth = 0;  // Periodic width and height for this step, 0 where edges don't wrap
+        this.wrapHeight = 0;
+        this.maxParticles = 0; // Room to grow to, for particles injected by inflow edges
+        // Thermal edges { left, right, top, bottom } re-emit particles at a temperature
+        // instead of reflecting them (missing edges reflect as usual)
+        this.edgeTemperatures = null;
         this.particleCollisions = true;
+
+        // Single source of randomness so runs are reproducible from a seed
+        this.rng = new SeededRandom();
+    }
+
+    random() {
+        return this.rng.next();
+    }
+
+    gaussian() {
+        return this.rng.gaussian();
+    }
+
+    setSeed(seed) {
+        this.rng.setSeed(seed);
     }
 
     init(initType = 'center') {
-        // If emitter is managing particles, skip re-allocating particle arrays
-        if (this.emitter && this.emitter.maxParticles && this.positions) {
-            if (this.sensor) this.initSensor();
-            this.initCirclePhysics();
-            this.initForceField();
-            return;
+        // Every (re)initialization replays the same random sequence for the seed,
+        // and temperature schedules start over. No leftover frame time or partial
+        // inflow particle is carried over, so a reset replays a fresh load exactly
+        this.rng.restart();
+        this.time = 0;
+        this.timeAccumulator = 0;
+        for (const side in this.boundaries) {
+            this.boundaries[side].accumulator = 0;
         }
-        
-        this.positions = new Float32Array(this.particleCount * 2);
-        this.velocities = new Float32Array(this.particleCount * 2);
 
-        if (initType === 'center') {
-            this.initCenter();
-        } else if (initType === 'left') {
-            this.initLeft();
-        } else if (initType === 'random') {
-            this.initRandom();
-        } else if (initType === 'static') {
-            this.initStatic();
+        // Slots 0..particleCount-1 hold the live particles; the arrays have room for
+        // maxParticles plus every emitter's maxParticles so inflow edges and emitters
+        // can add particles later
+        const emitterSlots = this.emitters.reduce((sum, emitter) => sum + (emitter.maxParticles || 0), 0);
+        const capacity = Math.max(this.particleCount, this.maxParticles) + emitterSlots;
+        this.positions = new Float32Array(capacity * 2);
+        this.velocities = new Float32Array(capacity * 2);
+
+        this.beginSpawnSpacing();
+        if (this.species) {
+            this.initSpecies(initType);
+        } else {
+            this.speciesIds = null;
+            // Update particle count to actual placed particles
+            this.particleCount = this.initParticles(initType, 0, this.particleCount);
         }
+        this.spawnHead = null;
+
+        this.initParticleProperties();
         
         if (this.sensor) {
             this.initSensor();
         }
         
-        this.initCirclePhysics();
+        this.initShapePhysics();
         this.initForceField();
     }
 
-    initCirclePhysics() {
+    initParticles(initType, start, count, region = null) {
+        // Place count particles from index start; returns how many fit
+        if (initType === 'center') {
+            return this.initCenter(start, count);
+        } else if (initType === 'left') {
+            return this.initLeft(start, count);
+        } else if (initType === 'random') {
+            return this.initRandom(start, count, region);
+        } else if (initType === 'static') {
+            return this.initStatic(start, count, region);
+        } else if (initType === 'emitter') {
+            // Starts empty; the emitters fill the slots over time
+            return 0;
+        }
+        return count;
+    }
+
+    initSpecies(initType) {
+        // Species counts are scaled so they add up to particleCount, which lets
+        // the particle count slider resize a mixture without changing its ratios
+        const total = this.species.reduce((sum, species) => sum + species.count, 0);
+        const scale = total > 0 ? this.particleCount / total : 0;
+
+        this.speciesIds = new Uint8Array(this.positions.length / 2);
+        let placed = 0;
+
+        this.species.forEach((species, id) => {
+            const count = Math.min(Math.round(species.count * scale), this.particleCount - placed);
+            const added = this.initParticles(species.initType || initType, placed, count, species.region);
+            this.speciesIds.fill(id, placed, placed + added);
+            placed += added;
+        });
+
+        this.particleCount = placed;
+    }
+
+    setSpecies(species, interactions = null) {
+        if (!species || species.length === 0) {
+            this.species = null;
+            this.speciesCollide = null;
+            this.speciesRestitution = null;
+            return;
+        }
+
+        // The renderer holds one color per species in a fixed-size uniform array
+        if (species.length > ParticleSimulation.maxSpecies) {
+            console.warn(`Only ${ParticleSimulation.maxSpecies} species are supported, ignoring the rest`);
+            species = species.slice(0, ParticleSimulation.maxSpecies);
+        }
+
+        this.species = species.map(s => ({ ...s, count: s.count || 0 }));
+        const n = this.species.length;
+        this.speciesCollide = new Uint8Array(n * n);
+        this.speciesRestitution = new Float32Array(n * n);
+
+        for (let a = 0; a < n; a++) {
+            for (let b = 0; b < n; b++) {
+                // Either triangle of the matrix may be given: true (or missing) collides
+                // using damping, false passes through, a number is the restitution
+                let value = interactions?.[a]?.[b];
+                if (value === undefined || value === null) value = interactions?.[b]?.[a];
+                if (value === undefined || value === null) value = true;
+
+                const pair = a * n + b;
+                this.speciesCollide[pair] = value === false ? 0 : 1;
+                // Stored in the same form handleCollision derives from damping
+                this.speciesRestitution[pair] = typeof value === 'number' ? 0.5 + value * 0.5 : -1;
+            }
+        }
+    }
+
+    initParticleProperties() {
+        const count = this.positions.length / 2;
+        this.initCharges(count);
+        this.initFrozen(count);
+        this.births = new Float64Array(count); // Simulation time each particle was added
+        this.initEmitterIds(count);
+        this.initLifetimes(count);
+
+        if (this.speciesIds) {
+            this.initSpeciesProperties(count);
+            return;
+        }
+
+        if (!this.radiusRange && !this.massRange) {
+            this.radii = null;
+            this.masses = null;
+            this.cellSize = Math.max(5, this.particleRadius * 2);
+            return;
+        }
+
+        this.radii = new Float32Array(count);
+        this.masses = new Float32Array(count);
+        const [minR, maxR] = this.radiusRange || [this.particleRadius, this.particleRadius];
+
+        for (let i = 0; i < count; i++) {
+            const radius = minR + this.random() * (maxR - minR);
+            this.radii[i] = radius;
+
+            if (this.massRange) {
+                this.masses[i] = this.massRange[0] + this.random() * (this.massRange[1] - this.massRange[0]);
+            } else {
+                // Same density as a standard particle: mass grows with area
+                const ratio = radius / this.particleRadius;
+                this.masses[i] = ratio * ratio;
+            }
+        }
+
+        this.updateCellSize();
+    }
+
+    initFrozen(count) {
+        const canFreeze = this.sticky || this.shapes.some(shape => shape.sticky);
+        this.frozen = canFreeze ? new Uint8Array(count) : null;
+    }
+
+    freezeParticle(i) {
+        this.frozen[i] = 1;
+        this.velocities[i * 2] = 0;
+        this.velocities[i * 2 + 1] = 0;
+    }
+
+    initCharges(count) {
+        const speciesCharged = this.speciesIds && this.species.some(species => species.charge);
+
+        if (!speciesCharged && !this.particleCharge) {
+            this.charges = null;
+            return;
+        }
+
+        this.charges = new Float32Array(count);
+        if (speciesCharged) {
+            for (let i = 0; i < this.particleCount; i++) {
+                this.charges[i] = this.species[this.speciesIds[i]].charge || 0;
+            }
+        } else {
+            this.charges.fill(this.particleCharge);
+        }
+    }
+
+    initSpeciesProperties(count) {
+        this.radii = new Float32Array(count);
+        this.masses = new Float32Array(count);
+
+        for (let i = 0; i < this.particleCount; i++) {
+            this.assignSpecies(i, this.speciesIds[i]);
+        }
+
+        this.updateCellSize();
+    }
+
+    assignSpecies(i, id) {
+        const species = this.species[id];
+        const radius = species.radius || this.particleRadius;
+        const ratio = radius / this.particleRadius;
+        this.speciesIds[i] = id;
+        this.radii[i] = radius;
+        this.masses[i] = species.mass || ratio * ratio;
+    }
+
+    updateCellSize() {
+        // Grid cells must be at least one collision diameter wide so that
+        // checking neighboring cells finds every touching pair
+        let maxRadius = this.particleRadius;
+        if (this.species) {
+            // Particles of any species may still be added after init
+            for (const species of this.species) {
+                if (species.radius > maxRadius) maxRadius = species.radius;
+            }
+        }
+        if (this.radii) {
+            for (let i = 0; i < this.radii.length; i++) {
+                if (this.radii[i] > maxRadius) maxRadius = this.radii[i];
+            }
+        }
+        this.cellSize = Math.max(5, maxRadius * 2);
+    }
+
+    initShapePhysics() {
         this.shapes.forEach(shape => {
             if (shape.type === 'circle' && shape.moveable) {
                 // Only initialize if not already explicitly set
@@ -78,6 +368,19 @@ export class ParticleSimulation {
                 if (!shape.mass) {
                     shape.mass = Math.PI * shape.radius * shape.radius * 0.01; // Density factor
                 }
+            } else if (shape.type === 'rect' && shape.moveable) {
+                // A free rigid body; rotationSpeed is its angular velocity, which
+                // particle hits change like they change its velocity
+                if (shape.vx === undefined) shape.vx = 0;
+                if (shape.vy === undefined) shape.vy = 0;
+                if (shape.rotationSpeed === undefined) shape.rotationSpeed = 0;
+                if (!shape.mass) {
+                    shape.mass = shape.width * shape.height * 0.01; // Same density as circles
+                }
+                if (!shape.inertia) {
+                    shape.inertia = shape.mass * (shape.width * shape.width + shape.height * shape.height) / 12;
+                }
+                shape.rotating = true;
             }
         });
     }
@@ -113,6 +416,16 @@ export class ParticleSimulation {
             // For rectangles, check against the bounding box
             return x >= shape.x && x <= shape.x + shape.width &&
                    y >= shape.y && y <= shape.y + shape.height;
+        } else if (shape.type === 'polygon') {
+            const cos = Math.cos(shape.angle || 0);
+            const sin = Math.sin(shape.angle || 0);
+            return this.isPointInPolygon(shape.vertices, cos * dx + sin * dy, -sin * dx + cos * dy);
+        } else if (shape.type === 'segment' || shape.type === 'polyline') {
+            // Walls have no inside; keep new particles from overlapping them
+            const cos = Math.cos(shape.angle || 0);
+            const sin = Math.sin(shape.angle || 0);
+            const reach = (shape.radius || 0) + this.particleRadius;
+            return this.closestOnPolygon(shape.vertices, cos * dx + sin * dy, -sin * dx + cos * dy, false) <= reach * reach;
         }
         return false;
     }
@@ -123,21 +436,73 @@ export class ParticleSimulation {
                 return true;
             }
         }
+        return this.spawnHead !== null && this.isNearSpawn(x, y);
+    }
+
+    beginSpawnSpacing() {
+        // Lennard-Jones repulsion is so steep that two particles placed on top of each
+        // other would fly apart with enormous energy, so new particles keep sigma apart.
+        // Placed particles are tracked in a linked-list grid with sigma-sized cells.
+        this.spawnSpacing = this.interaction === 'lennard-jones' ? this.interactionParams.sigma : 0;
+        if (this.spawnSpacing <= 0) {
+            this.spawnHead = null;
+            return;
+        }
+
+        this.spawnCols = Math.ceil(this.bounds.width / this.spawnSpacing) + 1;
+        this.spawnRows = Math.ceil(this.bounds.height / this.spawnSpacing) + 1;
+        this.spawnHead = new Int32Array(this.spawnCols * this.spawnRows).fill(-1);
+        this.spawnNext = new Int32Array(this.particleCount);
+        this.spawnPositions = new Float32Array(this.particleCount * 2);
+        this.spawnCount = 0;
+    }
+
+    spawnCell(x, y) {
+        const cellX = Math.min(this.spawnCols - 1, Math.max(0, Math.floor(x / this.spawnSpacing)));
+        const cellY = Math.min(this.spawnRows - 1, Math.max(0, Math.floor(y / this.spawnSpacing)));
+        return [cellX, cellY];
+    }
+
+    isNearSpawn(x, y) {
+        const [cellX, cellY] = this.spawnCell(x, y);
+        const spacingSq = this.spawnSpacing * this.spawnSpacing;
+
+        for (let cy = Math.max(0, cellY - 1); cy <= Math.min(this.spawnRows - 1, cellY + 1); cy++) {
+            for (let cx = Math.max(0, cellX - 1); cx <= Math.min(this.spawnCols - 1, cellX + 1); cx++) {
+                for (let k = this.spawnHead[cy * this.spawnCols + cx]; k !== -1; k = this.spawnNext[k]) {
+                    const dx = this.spawnPositions[k * 2] - x;
+                    const dy = this.spawnPositions[k * 2 + 1] - y;
+                    if (dx * dx + dy * dy < spacingSq) return true;
+                }
+            }
+        }
         return false;
     }
 
-    initCenter() {
+    recordSpawn(x, y) {
+        if (this.spawnHead === null) return;
+
+        const [cellX, cellY] = this.spawnCell(x, y);
+        const cell = cellY * this.spawnCols + cellX;
+        const k = this.spawnCount++;
+        this.spawnPositions[k * 2] = x;
+        this.spawnPositions[k * 2 + 1] = y;
+        this.spawnNext[k] = this.spawnHead[cell];
+        this.spawnHead[cell] = k;
+    }
+
+    initCenter(start, count) {
         const centerX = this.bounds.width / 2;
         const centerY = this.bounds.height / 2;
         const spawnRadius = 200;
 
         let placed = 0;
         let attempts = 0;
-        const maxTotalAttempts = this.particleCount * 100;
+        const maxTotalAttempts = count * 100;
 
-        while (placed < this.particleCount && attempts < maxTotalAttempts) {
-            const angle = Math.random() * Math.PI * 2;
-            const radius = Math.random() * spawnRadius;
+        while (placed < count && attempts < maxTotalAttempts) {
+            const angle = this.random() * Math.PI * 2;
+            const radius = this.random() * spawnRadius;
             
             const x = centerX + Math.cos(angle) * radius;
             const y = centerY + Math.sin(angle) * radius;
@@ -145,145 +510,222 @@ export class ParticleSimulation {
             attempts++;
 
             if (!this.isPositionOccupied(x, y)) {
-                this.positions[placed * 2] = x;
-                this.positions[placed * 2 + 1] = y;
-
-                const speed = 50 + Math.random() * 150;
-                const velAngle = Math.random() * Math.PI * 2;
-                this.velocities[placed * 2] = Math.cos(velAngle) * speed;
-                this.velocities[placed * 2 + 1] = Math.sin(velAngle) * speed;
+                const idx = (start + placed) * 2;
+                this.positions[idx] = x;
+                this.positions[idx + 1] = y;
+
+                const speed = 50 + this.random() * 150;
+                const velAngle = this.random() * Math.PI * 2;
+                this.velocities[idx] = Math.cos(velAngle) * speed;
+                this.velocities[idx + 1] = Math.sin(velAngle) * speed;
                 
+                this.recordSpawn(x, y);
                 placed++;
             }
         }
         
-        // Update particle count to actual placed particles
-        if (placed < this.particleCount) {
-            this.particleCount = placed;
-        }
+        return placed;
     }
 
-    initLeft() {
+    initLeft(start, count) {
         const spawnX = 100;
         const spawnHeight = this.bounds.height * 0.6;
         const spawnY = (this.bounds.height - spawnHeight) / 2;
 
         let placed = 0;
         let attempts = 0;
-        const maxTotalAttempts = this.particleCount * 100;
+        const maxTotalAttempts = count * 100;
 
-        while (placed < this.particleCount && attempts < maxTotalAttempts) {
-            const x = spawnX + Math.random() * 50;
-            const y = spawnY + Math.random() * spawnHeight;
+        while (placed < count && attempts < maxTotalAttempts) {
+            const x = spawnX + this.random() * 50;
+            const y = spawnY + this.random() * spawnHeight;
 
             attempts++;
 
             if (!this.isPositionOccupied(x, y)) {
-                this.positions[placed * 2] = x;
-                this.positions[placed * 2 + 1] = y;
-
-                const speed = 100 + Math.random() * 100;
-                const angle = (Math.random() - 0.5) * 0.3;
-                this.velocities[placed * 2] = Math.cos(angle) * speed;
-                this.velocities[placed * 2 + 1] = Math.sin(angle) * speed;
+                const idx = (start + placed) * 2;
+                this.positions[idx] = x;
+                this.positions[idx + 1] = y;
+
+                const speed = 100 + this.random() * 100;
+                const angle = (this.random() - 0.5) * 0.3;
+                this.velocities[idx] = Math.cos(angle) * speed;
+                this.velocities[idx + 1] = Math.sin(angle) * speed;
                 
+                this.recordSpawn(x, y);
                 placed++;
             }
         }
         
-        if (placed < this.particleCount) {
-            this.particleCount = placed;
-        }
+        return placed;
+    }
+
+    getSpawnArea(region) {
+        // region is given as fractions of the bounds, e.g. { x: 0, y: 0, width: 0.5, height: 1 }
+        const r = region || { x: 0, y: 0, width: 1, height: 1 };
+        return {
+            x: r.x * this.bounds.width,
+            y: r.y * this.bounds.height,
+            width: r.width * this.bounds.width,
+            height: r.height * this.bounds.height
+        };
     }
 
-    initRandom() {
+    initRandom(start, count, region = null) {
+        const area = this.getSpawnArea(region);
         let placed = 0;
         let attempts = 0;
-        const maxTotalAttempts = this.particleCount * 100;
+        const maxTotalAttempts = count * 100;
 
-        while (placed < this.particleCount && attempts < maxTotalAttempts) {
-            const x = Math.random() * this.bounds.width;
-            const y = Math.random() * this.bounds.height;
+        while (placed < count && attempts < maxTotalAttempts) {
+            const x = area.x + this.random() * area.width;
+            const y = area.y + this.random() * area.height;
 
             attempts++;
 
             if (!this.isPositionOccupied(x, y)) {
-                this.positions[placed * 2] = x;
-                this.positions[placed * 2 + 1] = y;
-
-                const speed = 50 + Math.random() * 100;
-                const angle = Math.random() * Math.PI * 2;
-                this.velocities[placed * 2] = Math.cos(angle) * speed;
-                this.velocities[placed * 2 + 1] = Math.sin(angle) * speed;
+                const idx = (start + placed) * 2;
+                this.positions[idx] = x;
+                this.positions[idx + 1] = y;
+
+                const speed = 50 + this.random() * 100;
+                const angle = this.random() * Math.PI * 2;
+                this.velocities[idx] = Math.cos(angle) * speed;
+                this.velocities[idx + 1] = Math.sin(angle) * speed;
                 
+                this.recordSpawn(x, y);
                 placed++;
             }
         }
         
-        if (placed < this.particleCount) {
-            this.particleCount = placed;
-        }
+        return placed;
     }
 
-    initStatic() {
+    initStatic(start, count, region = null) {
+        const area = this.getSpawnArea(region);
         let placed = 0;
         let attempts = 0;
-        const maxTotalAttempts = this.particleCount * 100;
+        const maxTotalAttempts = count * 100;
 
-        while (placed < this.particleCount && attempts < maxTotalAttempts) {
-            const x = Math.random() * this.bounds.width;
-            const y = Math.random() * this.bounds.height;
+        while (placed < count && attempts < maxTotalAttempts) {
+            const x = area.x + this.random() * area.width;
+            const y = area.y + this.random() * area.height;
 
             attempts++;
 
             if (!this.isPositionOccupied(x, y)) {
-                this.positions[placed * 2] = x;
-                this.positions[placed * 2 + 1] = y;
+                const idx = (start + placed) * 2;
+                this.positions[idx] = x;
+                this.positions[idx + 1] = y;
                 // Zero velocity - particles only move when hit
-                this.velocities[placed * 2] = 0;
-                this.velocities[placed * 2 + 1] = 0;
+                this.velocities[idx] = 0;
+                this.velocities[idx + 1] = 0;
+                this.recordSpawn(x, y);
                 placed++;
             }
         }
 
-        if (placed < this.particleCount) {
-            this.particleCount = placed;
-        }
+        return placed;
     }
 
     update(deltaTime) {
-        const dt = deltaTime * this.speedMultiplier;
+        // Clamp the frame time so a tab switch or a stalled frame can't produce a huge step
+        const frameTime = Math.min(Math.max(deltaTime, 0), this.maxFrameTime);
+        this.timeAccumulator += frameTime * this.speedMultiplier;
+
+        // Integrate accumulated time in fixed steps, each split into substeps,
+        // so results don't depend on frame rate or the speed slider
+        const stepSize = this.stepSize;
+        const dt = stepSize / this.substeps;
+        let steps = 0;
+
+        while (this.timeAccumulator >= stepSize && steps < this.maxStepsPerFrame) {
+            for (let s = 0; s < this.substeps; s++) {
+                this.step(dt);
+            }
+            this.timeAccumulator -= stepSize;
+            steps++;
+        }
+
+        // Drop time we couldn't catch up on instead of snowballing into later frames
+        if (this.timeAccumulator >= stepSize) {
+            this.timeAccumulator = 0;
+        }
+
+        // Visualization only needs refreshing once per frame
+        if (this.showForceField) {
+            this.updateForceField();
+        }
+    }
+
+    step(dt) {
         this.time += dt;
 
+        // Width and height of the periodic axes, 0 where the edges don't wrap
+        const wrapX = this.wrapEdges || this.boundaries.left.type === 'wrap';
+        const wrapY = this.wrapEdges || this.boundaries.top.type === 'wrap';
+        this.wrapWidth = wrapX ? this.bounds.width : 0;
+        this.wrapHeight = wrapY ? this.bounds.height : 0;
+
         this.updateShapes(dt);
         
-        if (this.emitter) {
-            this.updateEmitter(dt);
+        if (this.emitters.length > 0) {
+            this.updateEmitters(dt);
         }
-        
-        if (this.showForceField) {
-            this.updateForceField();
+
+        if (this.hasInflow && !this.wrapEdges) {
+            this.updateInflow(dt);
+        }
+
+        if (this.lifetimes) {
+            this.expireParticles();
         }
 
         if (this.sensorHits) {
+            // Fade hits at the same rate (1% per 1/60 s) whatever the step size
+            const decay = Math.pow(0.99, dt * 60);
             for (let i = 0; i < this.sensorHits.length; i++) {
-                this.sensorHits[i] *= 0.99;
+                this.sensorHits[i] *= decay;
+            }
+        }
+
+        if (this.forces.length > 0) {
+            this.applyForces(dt);
+        }
+
+        if (this.charges) {
+            this.applyShapeCharges(dt);
+
+            if (this.magneticFields.length > 0) {
+                this.applyMagneticFields(dt);
             }
         }
 
-        const maxX = this.bounds.width - this.particleRadius;
-        const maxY = this.bounds.height - this.particleRadius;
-        const minX = this.particleRadius;
-        const minY = this.particleRadius;
-        const wrap = this.wrapEdges; // Cache to avoid property lookup in loop
+        // Cache edge behavior to avoid property lookups in the loop
+        const wrap = this.wrapEdges;
+        const left = wrap ? 'wrap' : this.boundaries.left.type;
+        const right = wrap ? 'wrap' : this.boundaries.right.type;
+        const top = wrap ? 'wrap' : this.boundaries.top.type;
+        const bottom = wrap ? 'wrap' : this.boundaries.bottom.type;
+        const edgeTemps = this.edgeTemperatures || {};
         const w = this.bounds.width;
         const h = this.bounds.height;
+        const radii = this.radii;
+        const frozen = this.frozen;
 
         for (let i = 0; i < this.particleCount; i++) {
             const idx = i * 2;
+
+            // Frozen particles stay put whatever forces were applied this step
+            if (frozen && frozen[i]) {
+                this.velocities[idx] = 0;
+                this.velocities[idx + 1] = 0;
+                continue;
+            }
+            const radius = radii ? radii[i] : this.particleRadius;
             
-            const oldX = this.positions[idx];
-            const oldY = this.positions[idx + 1];
+            let oldX = this.positions[idx];
+            let oldY = this.positions[idx + 1];
             
             this.positions[idx] += this.velocities[idx] * dt;
             this.positions[idx + 1] += this.velocities[idx + 1] * dt;
@@ -292,47 +734,322 @@ export class ParticleSimulation {
                 this.checkSensorHit(oldX, oldY, this.positions[idx], this.positions[idx + 1]);
             }
 
-            if (wrap) {
-                // Wrap particles to opposite side
-                if (this.positions[idx] < 0) {
-                    this.positions[idx] += w;
-                } else if (this.positions[idx] >= w) {
-                    this.positions[idx] -= w;
-                }
-                if (this.positions[idx + 1] < 0) {
-                    this.positions[idx + 1] += h;
-                } else if (this.positions[idx + 1] >= h) {
-                    this.positions[idx + 1] -= h;
+            // Periodic edges move the particle (and its sweep start) to the opposite
+            // side, absorbing edges remove it on contact and open edges (inflow and
+            // outflow) once it is fully outside
+            const x = this.positions[idx];
+            if (x <= radius) {
+                if (left === 'wrap') {
+                    if (x < 0) {
+                        this.positions[idx] += w;
+                        oldX += w;
+                    }
+                } else if (left === 'reflect') {
+                    this.positions[idx] = radius;
+                    if (edgeTemps.left !== undefined) {
+                        this.emitThermal(idx, 1, 0, 0, 0, edgeTemps.left);
+                    } else {
+                        this.velocities[idx] = Math.abs(this.velocities[idx]) * this.damping;
+                    }
+                } else if (left === 'absorb' || x < -radius) {
+                    if (this.removeParticle(i)) i--;
+                    continue;
                 }
-            } else {
-                if (this.positions[idx] <= minX) {
-                    this.positions[idx] = minX;
-                    this.velocities[idx] = Math.abs(this.velocities[idx]) * this.damping;
-                } else if (this.positions[idx] >= maxX) {
-                    this.positions[idx] = maxX;
-                    this.velocities[idx] = -Math.abs(this.velocities[idx]) * this.damping;
+            } else if (x >= w - radius) {
+                if (right === 'wrap') {
+                    if (x >= w) {
+                        this.positions[idx] -= w;
+                        oldX -= w;
+                    }
+                } else if (right === 'reflect') {
+                    this.positions[idx] = w - radius;
+                    if (edgeTemps.right !== undefined) {
+                        this.emitThermal(idx, -1, 0, 0, 0, edgeTemps.right);
+                    } else {
+                        this.velocities[idx] = -Math.abs(this.velocities[idx]) * this.damping;
+                    }
+                } else if (right === 'absorb' || x > w + radius) {
+                    if (this.removeParticle(i)) i--;
+                    continue;
                 }
+            }
 
-                if (this.positions[idx + 1] <= minY) {
-                    this.positions[idx + 1] = minY;
-                    this.velocities[idx + 1] = Math.abs(this.velocities[idx + 1]) * this.damping;
-                } else if (this.positions[idx + 1] >= maxY) {
-                    this.positions[idx + 1] = maxY;
-                    this.velocities[idx + 1] = -Math.abs(this.velocities[idx + 1]) * this.damping;
+            const y = this.positions[idx + 1];
+            if (y <= radius) {
+                if (top === 'wrap') {
+                    if (y < 0) {
+                        this.positions[idx + 1] += h;
+                        oldY += h;
+                    }
+                } else if (top === 'reflect') {
+                    this.positions[idx + 1] = radius;
+                    if (edgeTemps.top !== undefined) {
+                        this.emitThermal(idx, 0, 1, 0, 0, edgeTemps.top);
+                    } else {
+                        this.velocities[idx + 1] = Math.abs(this.velocities[idx + 1]) * this.damping;
+                    }
+                } else if (top === 'absorb' || y < -radius) {
+                    if (this.removeParticle(i)) i--;
+                    continue;
+                }
+            } else if (y >= h - radius) {
+                if (bottom === 'wrap') {
+                    if (y >= h) {
+                        this.positions[idx + 1] -= h;
+                        oldY -= h;
+                    }
+                } else if (bottom === 'reflect') {
+                    this.positions[idx + 1] = h - radius;
+                    if (edgeTemps.bottom !== undefined) {
+                        this.emitThermal(idx, 0, -1, 0, 0, edgeTemps.bottom);
+                    } else {
+                        this.velocities[idx + 1] = -Math.abs(this.velocities[idx + 1]) * this.damping;
+                    }
+                } else if (bottom === 'absorb' || y > h + radius) {
+                    if (this.removeParticle(i)) i--;
+                    continue;
                 }
             }
 
-            this.handleShapeCollisions(idx);
+            if (this.handleShapeCollisions(idx, oldX, oldY, radius)) {
+                if (this.removeParticle(i)) i--;
+            }
         }
 
-        if (this.particleCollisions) {
+        const coulomb = this.coulomb && this.charges;
+        const hard = this.particleCollisions && this.interaction === 'hard';
+        const soft = this.particleCollisions && this.interaction !== 'hard';
+
+        if (hard || soft || coulomb) {
             this.buildSpatialHash();
+        }
+        if (soft || coulomb) {
+            this.applyPairForces(dt, soft, coulomb);
+        }
+        if (hard) {
             this.detectCollisionsOptimized();
         }
+
+        if (this.thermostat) {
+            this.applyThermostat(dt);
+        }
+    }
+
+    addParticle(x, y, vx, vy, speciesId = 0) {
+        // Takes the first free slot and returns its index, or -1 when the arrays are full.
+        // Without species the slot keeps the radius and mass it was given at init.
+        const i = this.particleCount;
+        if (i >= this.positions.length / 2) return -1;
+        this.particleCount++;
+        this.births[i] = this.time;
+        if (this.lifetimes) this.lifetimes[i] = this.lifetime;
+        if (this.emitterIds) this.emitterIds[i] = -1;
+
+        this.positions[i * 2] = x;
+        this.positions[i * 2 + 1] = y;
+        this.velocities[i * 2] = vx;
+        this.velocities[i * 2 + 1] = vy;
+
+        if (this.speciesIds) {
+            this.assignSpecies(i, speciesId);
+            if (this.charges) this.charges[i] = this.species[speciesId].charge || 0;
+        }
+        if (this.frozen) this.frozen[i] = 0;
+        return i;
+    }
+
+    removeParticle(i) {
+        // The last particle moves into the freed slot, keeping the live particles
+        // packed at the front. Returns true when one did, so a loop over particles
+        // knows to visit slot i again.
+        if (this.emitterIds && this.emitterIds[i] >= 0) {
+            this.unlinkEmitted(i);
+            this.emitters[this.emitterIds[i]].count--;
+        }
+
+        const last = --this.particleCount;
+        if (i === last) return false;
+
+        this.positions[i * 2] = this.positions[last * 2];
+        this.positions[i * 2 + 1] = this.positions[last * 2 + 1];
+        this.velocities[i * 2] = this.velocities[last * 2];
+        this.velocities[i * 2 + 1] = this.velocities[last * 2 + 1];
+        for (const name of ParticleSimulation.particleArrays) {
+            const array = this[name];
+            if (array) array[i] = array[last];
+        }
+
+        // The moved particle keeps its place in its emitter's age order
+        if (this.emitterIds && this.emitterIds[i] >= 0) {
+            const emitter = this.emitters[this.emitterIds[i]];
+            const older = this.emitterOlder[i];
+            const newer = this.emitterNewer[i];
+            if (older >= 0) this.emitterNewer[older] = i;
+            else emitter.oldest = i;
+            if (newer >= 0) this.emitterOlder[newer] = i;
+            else emitter.newest = i;
+        }
+        return true;
+    }
+
+    updateInflow(dt) {
+        const w = this.bounds.width;
+        const h = this.bounds.height;
+
+        for (const side in this.boundaries) {
+            const edge = this.boundaries[side];
+            if (edge.type !== 'inflow') continue;
+
+            // A stream of the given density (particles per pixel^2) moving in at the
+            // given speed carries density * speed * edge length particles per second
+            const horizontal = side === 'top' || side === 'bottom';
+            const speed = edge.speed ?? 100;
+            const species = edge.species ?? 0;
+            edge.accumulator += (edge.density ?? 0.002) * speed * (horizontal ? w : h) * dt;
+
+            const nx = side === 'left' ? 1 : side === 'right' ? -1 : 0;
+            const ny = side === 'top' ? 1 : side === 'bottom' ? -1 : 0;
+
+            while (edge.accumulator >= 1) {
+                edge.accumulator--;
+
+                // Spread over the distance the stream moves in one step so it enters
+                // as a continuous flow rather than in sheets
+                const radius = this.species ? this.species[species].radius || this.particleRadius : this.particleRadius;
+                const depth = radius + this.random() * speed * dt;
+                const along = this.random() * (horizontal ? w : h);
+                const x = horizontal ? along : (nx > 0 ? depth : w - depth);
+                const y = horizontal ? (ny > 0 ? depth : h - depth) : along;
+
+                const i = this.addParticle(x, y, nx * speed, ny * speed, species);
+                if (i < 0) {
+                    edge.accumulator = 0;
+                    break;
+                }
+
+                if (edge.temperature) {
+                    // Thermal spread on top of the stream velocity
+                    const sigma = Math.sqrt(edge.temperature / (this.masses ? this.masses[i] : 1));
+                    this.velocities[i * 2] += this.gaussian() * sigma;
+                    this.velocities[i * 2 + 1] += this.gaussian() * sigma;
+                }
+            }
+        }
+    }
+
+    getTemperature() {
+        // Mean kinetic energy of the moving particles
+        const frozen = this.frozen;
+        const masses = this.masses;
+        let energy = 0;
+        let count = 0;
+
+        for (let i = 0; i < this.particleCount; i++) {
+            if (frozen && frozen[i]) continue;
+            const vx = this.velocities[i * 2];
+            const vy = this.velocities[i * 2 + 1];
+            energy += 0.5 * (masses ? masses[i] : 1) * (vx * vx + vy * vy);
+            count++;
+        }
+
+        return count > 0 ? energy / count : 0;
+    }
+
+    getTargetTemperature() {
+        // A schedule of [time, temperature] points is interpolated linearly and
+        // holds its last temperature once the run is past its end
+        const { temperature, schedule } = this.thermostat;
+        if (!schedule || schedule.length === 0) return temperature;
+
+        if (this.time <= schedule[0][0]) return schedule[0][1];
+        for (let k = 1; k < schedule.length; k++) {
+            const [t1, temp1] = schedule[k];
+            if (this.time <= t1) {
+                const [t0, temp0] = schedule[k - 1];
+                const f = t1 > t0 ? (this.time - t0) / (t1 - t0) : 1;
+                return temp0 + (temp1 - temp0) * f;
+            }
+        }
+        return schedule[schedule.length - 1][1];
+    }
+
+    applyThermostat(dt) {
+        const target = this.getTargetTemperature();
+        const frozen = this.frozen;
+        const velocities = this.velocities;
+
+        if (this.thermostat.type === 'andersen') {
+            // Each particle collides with the heat bath at the given rate and leaves
+            // it with a fresh Maxwell-Boltzmann velocity
+            const chance = 1 - Math.exp(-this.thermostat.rate * dt);
+            for (let i = 0; i < this.particleCount; i++) {
+                if (frozen && frozen[i]) continue;
+                if (this.random() >= chance) continue;
+                const sigma = Math.sqrt(target / (this.masses ? this.masses[i] : 1));
+                velocities[i * 2] = this.gaussian() * sigma;
+                velocities[i * 2 + 1] = this.gaussian() * sigma;
+            }
+            return;
+        }
+
+        const current = this.getTemperature();
+        if (current <= 0) return;
+
+        let scale;
+        if (this.thermostat.type === 'berendsen') {
+            // Relax toward the target with time constant tau, going no further than
+            // the target in one step when tau is shorter than the step
+            const ratio = Math.min(1, dt / this.thermostat.tau);
+            scale = Math.sqrt(Math.max(0, 1 + ratio * (target / current - 1)));
+        } else {
+            // Velocity rescaling hits the target exactly every step
+            scale = Math.sqrt(target / current);
+        }
+
+        for (let i = 0; i < this.particleCount; i++) {
+            velocities[i * 2] *= scale;
+            velocities[i * 2 + 1] *= scale;
+        }
+    }
+
+    setThermostat(thermostat) {
+        if (!thermostat || !thermostat.type || thermostat.type === 'none') {
+            this.thermostat = null;
+            return;
+        }
+        this.thermostat = {
+            temperature: 5000,
+            tau: 1.0,
+            rate: 1.0,
+            schedule: null,
+            ...thermostat
+        };
+        if (!(this.thermostat.tau > 0)) {
+            console.warn(`Thermostat tau must be positive, got ${thermostat.tau}; using 1`);
+            this.thermostat.tau = 1.0;
+        }
+    }
+
+    setThermostatType(type) {
+        // Switching type from the controls keeps the current target temperature
+        const temperature = this.thermostat ? this.getTargetTemperature() : this.getTemperature();
+        this.setThermostat({ ...this.thermostat, type, temperature, schedule: null });
+    }
+
+    setTemperature(temperature) {
+        // A hand-picked temperature replaces any schedule
+        if (!this.thermostat) return;
+        this.thermostat.temperature = temperature;
+        this.thermostat.schedule = null;
     }
 
     updateShapes(dt) {
         this.shapes.forEach(shape => {
+            // Remember where the shape was so particle sweeps can follow its motion
+            shape.prevX = shape.x;
+            shape.prevY = shape.y;
+            shape.prevAngle = shape.angle || 0;
+
             if (shape.rotating && shape.rotationSpeed) {
                 if (!shape.angle) shape.angle = 0;
                 shape.angle += shape.rotationSpeed * dt;
@@ -365,7 +1082,12 @@ export class ParticleSimulation {
                 const bounceFactorX = shape.bounceX ? 1.0 : 0.5;
                 const bounceFactorY = shape.bounceY ? 1.0 : 0.5;
 
-                if (shape.x - shape.radius <= 0) {
+                // Periodic edges carry the circle (and its sweep start) across the seam
+                if (this.wrapWidth) {
+                    const shift = shape.x < 0 ? this.wrapWidth : shape.x >= this.wrapWidth ? -this.wrapWidth : 0;
+                    shape.x += shift;
+                    shape.prevX += shift;
+                } else if (shape.x - shape.radius <= 0) {
                     shape.x = shape.radius;
                     shape.vx = Math.abs(shape.vx) * bounceFactorX;
                 } else if (shape.x + shape.radius >= this.bounds.width) {
@@ -373,7 +1095,11 @@ export class ParticleSimulation {
                     shape.vx = -Math.abs(shape.vx) * bounceFactorX;
                 }
                 
-                if (shape.y - shape.radius <= 0) {
+                if (this.wrapHeight) {
+                    const shift = shape.y < 0 ? this.wrapHeight : shape.y >= this.wrapHeight ? -this.wrapHeight : 0;
+                    shape.y += shift;
+                    shape.prevY += shift;
+                } else if (shape.y - shape.radius <= 0) {
                     shape.y = shape.radius;
                     shape.vy = Math.abs(shape.vy) * bounceFactorY;
                 } else if (shape.y + shape.radius >= this.bounds.height) {
@@ -381,96 +1107,947 @@ export class ParticleSimulation {
                     shape.vy = -Math.abs(shape.vy) * bounceFactorY;
                 }
             }
+
+            // Update moveable rectangles (their angle turns with rotationSpeed above)
+            if (shape.type === 'rect' && shape.moveable) {
+                shape.x += shape.vx * dt;
+                shape.y += shape.vy * dt;
+
+                shape.vx *= 0.9999;
+                shape.vy *= 0.9999;
+
+                const bounceFactorX = shape.bounceX ? 1.0 : 0.5;
+                const bounceFactorY = shape.bounceY ? 1.0 : 0.5;
+
+                // Half extents of the rotated rectangle's bounding box
+                const cos = Math.abs(Math.cos(shape.angle || 0));
+                const sin = Math.abs(Math.sin(shape.angle || 0));
+                const extentX = (cos * shape.width + sin * shape.height) / 2;
+                const extentY = (sin * shape.width + cos * shape.height) / 2;
+                const centerX = shape.x + shape.width / 2;
+                const centerY = shape.y + shape.height / 2;
+
+                if (this.wrapWidth) {
+                    const shift = centerX < 0 ? this.wrapWidth : centerX >= this.wrapWidth ? -this.wrapWidth : 0;
+                    shape.x += shift;
+                    shape.prevX += shift;
+                } else if (centerX - extentX <= 0) {
+                    shape.x += extentX - centerX;
+                    shape.vx = Math.abs(shape.vx) * bounceFactorX;
+                } else if (centerX + extentX >= this.bounds.width) {
+                    shape.x -= centerX + extentX - this.bounds.width;
+                    shape.vx = -Math.abs(shape.vx) * bounceFactorX;
+                }
+
+                if (this.wrapHeight) {
+                    const shift = centerY < 0 ? this.wrapHeight : centerY >= this.wrapHeight ? -this.wrapHeight : 0;
+                    shape.y += shift;
+                    shape.prevY += shift;
+                } else if (centerY - extentY <= 0) {
+                    shape.y += extentY - centerY;
+                    shape.vy = Math.abs(shape.vy) * bounceFactorY;
+                } else if (centerY + extentY >= this.bounds.height) {
+                    shape.y -= centerY + extentY - this.bounds.height;
+                    shape.vy = -Math.abs(shape.vy) * bounceFactorY;
+                }
+            }
         });
         
-        // Check collisions between moveable circles
+        // Resolve contacts between moveable shapes and anything they run into
         this.checkShapeCollisions();
     }
 
     checkShapeCollisions() {
-        const moveableCircles = this.shapes.filter(s => s.type === 'circle' && s.moveable);
-        
-        for (let i = 0; i < moveableCircles.length; i++) {
-            for (let j = i + 1; j < moveableCircles.length; j++) {
-                const c1 = moveableCircles[i];
-                const c2 = moveableCircles[j];
-                
-                const dx = c2.x - c1.x;
-                const dy = c2.y - c1.y;
+        // Resolve contacts between every pair of solid shapes where at least one is
+        // moveable. Static shapes, and rectangles spun at a fixed rotationSpeed, act
+        // as infinite mass. Ghosts and sinks are not solid.
+        const shapes = this.shapes.filter(shape => !shape.ghost && !shape.sink);
+
+        for (let i = 0; i < shapes.length; i++) {
+            for (let j = i + 1; j < shapes.length; j++) {
+                const a = shapes[i];
+                const b = shapes[j];
+                if (!this.isDynamicShape(a) && !this.isDynamicShape(b)) continue;
+
+                const contact = this.findShapeContact(a, b);
+                if (contact) {
+                    this.resolveShapeContact(a, b, contact);
+                }
+            }
+        }
+    }
+
+    isDynamicShape(shape) {
+        return Boolean(shape.moveable) && (shape.type === 'circle' || shape.type === 'rect');
+    }
+
+    findShapeContact(a, b) {
+        // Returns { nx, ny, depth, x, y }: the normal pointing from a to b, how far
+        // they overlap along it and a world-space contact point, or null
+        if (a.type === 'circle' && b.type !== 'circle') {
+            const contact = this.findShapeContact(b, a);
+            if (contact) {
+                contact.nx = -contact.nx;
+                contact.ny = -contact.ny;
+            }
+            return contact;
+        }
+
+        if (b.type === 'circle') {
+            if (a.type === 'circle') return this.circleCircleContact(a, b);
+            if (a.type === 'rect') return this.boxCircleContact(a, b);
+            if (a.type === 'polygon' || a.type === 'segment' || a.type === 'polyline') {
+                return this.outlineCircleContact(a, b);
+            }
+            return null;
+        }
+
+        const isOutline = shape => shape.type === 'polygon' || shape.type === 'segment' || shape.type === 'polyline';
+        if (isOutline(a) && b.type === 'rect') {
+            const contact = this.boxOutlineContact(b, a);
+            if (contact) {
+                contact.nx = -contact.nx;
+                contact.ny = -contact.ny;
+            }
+            return contact;
+        }
+
+        if (a.type === 'rect' && b.type === 'rect') return this.boxBoxContact(a, b);
+        if (a.type === 'rect' && isOutline(b)) return this.boxOutlineContact(a, b);
+        return null;
+    }
+
+    circleCircleContact(a, b) {
+        const dx = this.wrapDelta(b.x - a.x, this.wrapWidth);
+        const dy = this.wrapDelta(b.y - a.y, this.wrapHeight);
+        const distSq = dx * dx + dy * dy;
+        const minDist = a.radius + b.radius;
+        if (distSq >= minDist * minDist || distSq <= 0.01) return null;
+
+        const dist = Math.sqrt(distSq);
+        const nx = dx / dist;
+        const ny = dy / dist;
+        return { nx, ny, depth: minDist - dist, x: a.x + nx * a.radius, y: a.y + ny * a.radius };
+    }
+
+    boxPose(shape) {
+        const angle = shape.angle || 0;
+        return {
+            x: shape.x + shape.width / 2,
+            y: shape.y + shape.height / 2,
+            cos: Math.cos(angle),
+            sin: Math.sin(angle),
+            halfW: shape.width / 2,
+            halfH: shape.height / 2
+        };
+    }
+
+    boxCircleContact(box, circle) {
+        const pose = this.boxPose(box);
+        const ex = this.wrapDelta(circle.x - pose.x, this.wrapWidth);
+        const ey = this.wrapDelta(circle.y - pose.y, this.wrapHeight);
+        const localX = pose.cos * ex + pose.sin * ey;
+        const localY = -pose.sin * ex + pose.cos * ey;
+
+        let closestX = Math.max(-pose.halfW, Math.min(localX, pose.halfW));
+        let closestY = Math.max(-pose.halfH, Math.min(localY, pose.halfH));
+        const dx = localX - closestX;
+        const dy = localY - closestY;
+        const distSq = dx * dx + dy * dy;
+
+        let nx, ny, depth;
+        if (distSq > 0.0001) {
+            if (distSq >= circle.radius * circle.radius) return null;
+            const dist = Math.sqrt(distSq);
+            nx = dx / dist;
+            ny = dy / dist;
+            depth = circle.radius - dist;
+        } else {
+            // Circle center inside the box - push out through the nearest face
+            const penetrationX = pose.halfW - Math.abs(localX);
+            const penetrationY = pose.halfH - Math.abs(localY);
+            if (penetrationX < penetrationY) {
+                nx = localX < 0 ? -1 : 1;
+                ny = 0;
+                closestX = nx * pose.halfW;
+                depth = circle.radius + penetrationX;
+            } else {
+                nx = 0;
+                ny = localY < 0 ? -1 : 1;
+                closestY = ny * pose.halfH;
+                depth = circle.radius + penetrationY;
+            }
+        }
+
+        return {
+            nx: pose.cos * nx - pose.sin * ny,
+            ny: pose.sin * nx + pose.cos * ny,
+            depth,
+            x: pose.x + pose.cos * closestX - pose.sin * closestY,
+            y: pose.y + pose.sin * closestX + pose.cos * closestY
+        };
+    }
+
+    boxBoxContact(a, b) {
+        // Separating axis test on the four face normals; the axis of least overlap
+        // is the contact normal. Positions are relative to a's center.
+        const poseA = this.boxPose(a);
+        const poseB = this.boxPose(b);
+        const dx = this.wrapDelta(poseB.x - poseA.x, this.wrapWidth);
+        const dy = this.wrapDelta(poseB.y - poseA.y, this.wrapHeight);
+        const axes = [
+            [poseA.cos, poseA.sin], [-poseA.sin, poseA.cos],
+            [poseB.cos, poseB.sin], [-poseB.sin, poseB.cos]
+        ];
+
+        let depth = Infinity;
+        let nx = 0;
+        let ny = 0;
+        for (const [ux, uy] of axes) {
+            const reachA = poseA.halfW * Math.abs(ux * poseA.cos + uy * poseA.sin) +
+                poseA.halfH * Math.abs(-ux * poseA.sin + uy * poseA.cos);
+            const reachB = poseB.halfW * Math.abs(ux * poseB.cos + uy * poseB.sin) +
+                poseB.halfH * Math.abs(-ux * poseB.sin + uy * poseB.cos);
+            const distance = dx * ux + dy * uy;
+            const overlap = reachA + reachB - Math.abs(distance);
+            if (overlap <= 0) return null;
+            if (overlap < depth) {
+                depth = overlap;
+                nx = distance < 0 ? -ux : ux;
+                ny = distance < 0 ? -uy : uy;
+            }
+        }
+
+        // Contact point: the corners of either box that lie inside the other
+        let sumX = 0;
+        let sumY = 0;
+        let count = 0;
+        const addCorners = (pose, offsetX, offsetY, other, otherX, otherY) => {
+            for (const [sx, sy] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+                const cornerX = offsetX + pose.cos * sx * pose.halfW - pose.sin * sy * pose.halfH;
+                const cornerY = offsetY + pose.sin * sx * pose.halfW + pose.cos * sy * pose.halfH;
+                const relX = cornerX - otherX;
+                const relY = cornerY - otherY;
+                const localX = other.cos * relX + other.sin * relY;
+                const localY = -other.sin * relX + other.cos * relY;
+                if (Math.abs(localX) <= other.halfW + 0.01 && Math.abs(localY) <= other.halfH + 0.01) {
+                    sumX += cornerX;
+                    sumY += cornerY;
+                    count++;
+                }
+            }
+        };
+        addCorners(poseA, 0, 0, poseB, dx, dy);
+        addCorners(poseB, dx, dy, poseA, 0, 0);
+        const contactX = count ? sumX / count : dx / 2;
+        const contactY = count ? sumY / count : dy / 2;
+
+        return { nx, ny, depth, x: poseA.x + contactX, y: poseA.y + contactY };
+    }
+
+    outlineCircleContact(shape, circle) {
+        // Circle against a polygon, or against a wall grown by its radius
+        const closed = shape.type === 'polygon';
+        const wallRadius = closed ? 0 : shape.radius || 0;
+        const reach = circle.radius + wallRadius;
+        const cos = Math.cos(shape.angle || 0);
+        const sin = Math.sin(shape.angle || 0);
+        const ex = this.wrapDelta(circle.x - shape.x, this.wrapWidth);
+        const ey = this.wrapDelta(circle.y - shape.y, this.wrapHeight);
+        const localX = cos * ex + sin * ey;
+        const localY = -sin * ex + cos * ey;
+
+        const distSq = this.closestOnPolygon(shape.vertices, localX, localY, closed);
+        const inside = closed && this.isPointInPolygon(shape.vertices, localX, localY);
+        if (!inside && distSq >= reach * reach) return null;
+
+        let nx, ny;
+        const dist = Math.sqrt(distSq);
+        if (dist > 0.01) {
+            // Away from the outline, or toward it when the center is inside
+            nx = (localX - this.closestX) / dist * (inside ? -1 : 1);
+            ny = (localY - this.closestY) / dist * (inside ? -1 : 1);
+        } else {
+            const [ax, ay] = shape.vertices[this.closestEdge];
+            const [bx, by] = shape.vertices[(this.closestEdge + 1) % shape.vertices.length];
+            const edgeLength = Math.sqrt((bx - ax) ** 2 + (by - ay) ** 2) || 1;
+            const winding = closed ? shape.winding : 1;
+            nx = winding * (by - ay) / edgeLength;
+            ny = -winding * (bx - ax) / edgeLength;
+        }
+
+        const pointX = this.closestX + nx * wallRadius;
+        const pointY = this.closestY + ny * wallRadius;
+        return {
+            nx: cos * nx - sin * ny,
+            ny: sin * nx + cos * ny,
+            depth: inside ? reach + dist : reach - dist,
+            x: shape.x + cos * pointX - sin * pointY,
+            y: shape.y + sin * pointX + cos * pointY
+        };
+    }
+
+    boxOutlineContact(box, shape) {
+        // Box against a polygon or a wall: each box corner is tested against the
+        // outline as a point, each outline vertex against the box as a circle of
+        // the wall's radius, and each outline edge against the box along their
+        // separating axes, which catches a box straddling the middle of a thin wall.
+        // The deepest of these gives the normal and depth, and the contact point is
+        // averaged over every one pushing the same way, so a face landing flat on
+        // the outline isn't spun about one corner.
+        const pose = this.boxPose(box);
+        const reach = shape.type === 'polygon'
+            ? shape.boundingRadius
+            : Math.sqrt(shape.halfWidth * shape.halfWidth + shape.halfHeight * shape.halfHeight) + (shape.radius || 0);
+        const dx = this.wrapDelta(shape.x - pose.x, this.wrapWidth);
+        const dy = this.wrapDelta(shape.y - pose.y, this.wrapHeight);
+        const boxReach = Math.sqrt(pose.halfW * pose.halfW + pose.halfH * pose.halfH);
+        if (dx * dx + dy * dy >= (reach + boxReach) ** 2) return null;
+
+        const contacts = [];
+        for (const [sx, sy] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+            const corner = {
+                x: pose.x + pose.cos * sx * pose.halfW - pose.sin * sy * pose.halfH,
+                y: pose.y + pose.sin * sx * pose.halfW + pose.cos * sy * pose.halfH,
+                radius: 0
+            };
+            const contact = this.outlineCircleContact(shape, corner);
+            if (contact) {
+                // Normal from the outline to the corner, so it's flipped to point
+                // from the box to the outline
+                contact.nx = -contact.nx;
+                contact.ny = -contact.ny;
+                contacts.push(contact);
+            }
+        }
+
+        const cos = Math.cos(shape.angle || 0);
+        const sin = Math.sin(shape.angle || 0);
+        const vertexRadius = shape.type === 'polygon' ? 0 : shape.radius || 0;
+        const localVertices = [];
+        for (const [vx, vy] of shape.vertices) {
+            const vertex = {
+                x: shape.x + cos * vx - sin * vy,
+                y: shape.y + sin * vx + cos * vy,
+                radius: vertexRadius
+            };
+            const contact = this.boxCircleContact(box, vertex);
+            if (contact) contacts.push(contact);
+
+            const ex = this.wrapDelta(vertex.x - pose.x, this.wrapWidth);
+            const ey = this.wrapDelta(vertex.y - pose.y, this.wrapHeight);
+            localVertices.push([pose.cos * ex + pose.sin * ey, -pose.sin * ex + pose.cos * ey]);
+        }
+
+        // Where the box's center was at the start of the step, in its current local
+        // space, decides which side of an edge it belongs on
+        const prevEx = this.wrapDelta((box.prevX ?? box.x) + pose.halfW - pose.x, this.wrapWidth);
+        const prevEy = this.wrapDelta((box.prevY ?? box.y) + pose.halfH - pose.y, this.wrapHeight);
+        const prevLocalX = pose.cos * prevEx + pose.sin * prevEy;
+        const prevLocalY = -pose.sin * prevEx + pose.cos * prevEy;
+
+        const edges = shape.type === 'polygon' ? localVertices.length : localVertices.length - 1;
+        for (let i = 0; i < edges; i++) {
+            const contact = this.boxEdgeContact(pose, localVertices[i],
+                localVertices[(i + 1) % localVertices.length], vertexRadius, prevLocalX, prevLocalY);
+            if (contact) contacts.push(contact);
+        }
+        if (contacts.length === 0) return null;
+
+        const deepest = contacts.reduce((best, contact) => contact.depth > best.depth ? contact : best);
+        let sumX = 0;
+        let sumY = 0;
+        let count = 0;
+        for (const contact of contacts) {
+            if (contact.nx * deepest.nx + contact.ny * deepest.ny > 0.99) {
+                sumX += contact.x;
+                sumY += contact.y;
+                count++;
+            }
+        }
+        deepest.x = sumX / count;
+        deepest.y = sumY / count;
+        return deepest;
+    }
+
+    boxEdgeContact(pose, [ax, ay], [bx, by], radius, prevX, prevY) {
+        // Separating axis test of a box against an edge grown by radius, in the
+        // box's local space: the box's two axes and the edge normal. The box leaves
+        // along the axis of least overlap; along the edge normal it goes back to
+        // the side its center started the step on, so it can't be pushed through.
+        const { halfW, halfH } = pose;
+        let depth = Infinity;
+        let nx = 0;
+        let ny = 0;
+
+        // Box axes: push the box to whichever side of the edge is closer
+        const minX = Math.min(ax, bx) - radius;
+        const maxX = Math.max(ax, bx) + radius;
+        const minY = Math.min(ay, by) - radius;
+        const maxY = Math.max(ay, by) + radius;
+        for (const [overlap, axisX, axisY] of [
+            [halfW - minX, 1, 0], [maxX + halfW, -1, 0],
+            [halfH - minY, 0, 1], [maxY + halfH, 0, -1]
+        ]) {
+            if (overlap <= 0) return null;
+            if (overlap < depth) {
+                depth = overlap;
+                nx = axisX;
+                ny = axisY;
+            }
+        }
+
+        const edgeX = bx - ax;
+        const edgeY = by - ay;
+        const edgeLength = Math.sqrt(edgeX * edgeX + edgeY * edgeY);
+        if (edgeLength > 0) {
+            const edgeNx = -edgeY / edgeLength;
+            const edgeNy = edgeX / edgeLength;
+            const reach = halfW * Math.abs(edgeNx) + halfH * Math.abs(edgeNy);
+            const offset = ax * edgeNx + ay * edgeNy;
+            if (Math.abs(offset) >= reach + radius) return null;
+
+            let side = Math.sign((prevX - ax) * edgeNx + (prevY - ay) * edgeNy);
+            if (side === 0) side = offset > 0 ? -1 : 1;
+            const overlap = reach + radius + side * offset;
+            if (overlap < depth) {
+                depth = overlap;
+                nx = -side * edgeNx;
+                ny = -side * edgeNy;
+            }
+        }
+
+        // Contact point: the middle of the part of the edge inside the box
+        let tEnter = 0;
+        let tExit = 1;
+        for (const [start, delta, half] of [[ax, edgeX, halfW], [ay, edgeY, halfH]]) {
+            if (Math.abs(delta) < 1e-9) continue;
+            const t0 = (-half - start) / delta;
+            const t1 = (half - start) / delta;
+            tEnter = Math.max(tEnter, Math.min(t0, t1));
+            tExit = Math.min(tExit, Math.max(t0, t1));
+        }
+        const t = tEnter <= tExit ? (tEnter + tExit) / 2 : 0.5;
+        const pointX = ax + edgeX * t;
+        const pointY = ay + edgeY * t;
+
+        return {
+            nx: pose.cos * nx - pose.sin * ny,
+            ny: pose.sin * nx + pose.cos * ny,
+            depth,
+            x: pose.x + pose.cos * pointX - pose.sin * pointY,
+            y: pose.y + pose.sin * pointX + pose.cos * pointY
+        };
+    }
+
+    shapeBody(shape) {
+        // Center, inverse mass and inertia and velocity of a shape in a contact
+        const isRect = shape.type === 'rect';
+        const dynamic = this.isDynamicShape(shape);
+        return {
+            x: isRect ? shape.x + shape.width / 2 : shape.x,
+            y: isRect ? shape.y + shape.height / 2 : shape.y,
+            invMass: dynamic ? 1 / shape.mass : 0,
+            invInertia: dynamic && isRect ? 1 / shape.inertia : 0,
+            vx: dynamic ? shape.vx : 0,
+            vy: dynamic ? shape.vy : 0,
+            omega: shape.rotating ? shape.rotationSpeed || 0 : 0
+        };
+    }
+
+    resolveShapeContact(a, b, contact) {
+        const bodyA = this.shapeBody(a);
+        const bodyB = this.shapeBody(b);
+        const totalInvMass = bodyA.invMass + bodyB.invMass;
+        if (totalInvMass === 0) return;
+
+        const { nx, ny, depth } = contact;
+
+        // Separate the shapes, each moving in proportion to its inverse mass
+        const shiftA = depth * bodyA.invMass / totalInvMass;
+        const shiftB = depth * bodyB.invMass / totalInvMass;
+        a.x -= nx * shiftA;
+        a.y -= ny * shiftA;
+        b.x += nx * shiftB;
+        b.y += ny * shiftB;
+
+        // Velocities of both surfaces at the contact point: v + ω × r
+        const armAX = this.wrapDelta(contact.x - bodyA.x, this.wrapWidth);
+        const armAY = this.wrapDelta(contact.y - bodyA.y, this.wrapHeight);
+        const armBX = this.wrapDelta(contact.x - bodyB.x, this.wrapWidth);
+        const armBY = this.wrapDelta(contact.y - bodyB.y, this.wrapHeight);
+        const relVx = (bodyB.vx - armBY * bodyB.omega) - (bodyA.vx - armAY * bodyA.omega);
+        const relVy = (bodyB.vy + armBX * bodyB.omega) - (bodyA.vy + armAX * bodyA.omega);
+        const relDotN = relVx * nx + relVy * ny;
+        if (relDotN >= 0) return;
+
+        // Impulse along the normal for the pair's restitution (1 = elastic, 0 = the
+        // shapes end up moving together along the normal). Shapes without one of
+        // their own take it from damping, mapping [0, 1] to [0.5, 1]
+        const defaultRestitution = 0.5 + this.damping * 0.5;
+        const restitution = Math.min(a.restitution ?? defaultRestitution, b.restitution ?? defaultRestitution);
+        const armACrossN = armAX * ny - armAY * nx;
+        const armBCrossN = armBX * ny - armBY * nx;
+        const impulse = -(1 + restitution) * relDotN / (totalInvMass +
+            armACrossN * armACrossN * bodyA.invInertia + armBCrossN * armBCrossN * bodyB.invInertia);
+
+        if (bodyA.invMass > 0) {
+            a.vx -= nx * impulse * bodyA.invMass;
+            a.vy -= ny * impulse * bodyA.invMass;
+            if (bodyA.invInertia > 0) a.rotationSpeed -= armACrossN * impulse * bodyA.invInertia;
+        }
+        if (bodyB.invMass > 0) {
+            b.vx += nx * impulse * bodyB.invMass;
+            b.vy += ny * impulse * bodyB.invMass;
+            if (bodyB.invInertia > 0) b.rotationSpeed += armBCrossN * impulse * bodyB.invInertia;
+        }
+    }
+
+    applyForces(dt) {
+        const positions = this.positions;
+        const velocities = this.velocities;
+        const count = this.particleCount;
+
+        for (const force of this.forces) {
+            const region = force.region || null;
+            const strength = force.strength || 0;
+            const falloff = force.falloff || 0;
+            // Keeps radial and vortex forces finite at their center
+            const softeningSq = (force.softening !== undefined ? force.softening : 10) ** 2;
+            // Drag is integrated exactly so large coefficients can't reverse velocities
+            const decay = force.type === 'drag' ? Math.exp(-(force.coefficient || 0) * dt) : 1;
+
+            for (let i = 0; i < count; i++) {
+                const idx = i * 2;
+                const x = positions[idx];
+                const y = positions[idx + 1];
+
+                if (region && !this.isPointInRegion(x, y, region)) continue;
+
+                if (force.type === 'uniform') {
+                    velocities[idx] += (force.ax || 0) * dt;
+                    velocities[idx + 1] += (force.ay || 0) * dt;
+                } else if (force.type === 'drag') {
+                    velocities[idx] *= decay;
+                    velocities[idx + 1] *= decay;
+                } else {
+                    const dx = x - force.x;
+                    const dy = y - force.y;
+                    const dist = Math.sqrt(dx * dx + dy * dy + softeningSq);
+                    // Acceleration strength / dist^falloff, per unit vector
+                    const a = strength / Math.pow(dist, falloff) / dist * dt;
+
+                    if (force.type === 'radial') {
+                        // Positive strength attracts, negative repels
+                        velocities[idx] -= dx * a;
+                        velocities[idx + 1] -= dy * a;
+                    } else if (force.type === 'vortex') {
+                        // Positive strength swirls clockwise on screen
+                        velocities[idx] -= dy * a;
+                        velocities[idx + 1] += dx * a;
+                    }
+                }
+            }
+        }
+    }
+
+    applyShapeCharges(dt) {
+        const charged = this.shapes.filter(shape => shape.charge);
+        if (charged.length === 0) return;
+
+        const positions = this.positions;
+        const velocities = this.velocities;
+        const charges = this.charges;
+        const masses = this.masses;
+        const softening = this.coulomb?.softening ?? 4;
+        const softeningSq = softening * softening;
+
+        for (const shape of charged) {
+            const isRect = shape.type === 'rect';
+            const isPolygon = shape.type === 'polygon';
+            const isWall = shape.type === 'segment' || shape.type === 'polyline';
+            const halfW = isRect ? shape.width / 2 : 0;
+            const halfH = isRect ? shape.height / 2 : 0;
+            const centerX = shape.x + halfW;
+            const centerY = shape.y + halfH;
+            const cos = Math.cos(shape.angle || 0);
+            const sin = Math.sin(shape.angle || 0);
+
+            for (let i = 0; i < this.particleCount; i++) {
+                const q = charges[i];
+                if (q === 0) continue;
+
+                const idx = i * 2;
+                const ex = positions[idx] - centerX;
+                const ey = positions[idx + 1] - centerY;
+
+                // Offset from the nearest point on the shape's surface, in world space
+                let dx, dy;
+                if (isRect) {
+                    const localX = cos * ex + sin * ey;
+                    const localY = -sin * ex + cos * ey;
+                    const lx = localX - Math.max(-halfW, Math.min(localX, halfW));
+                    const ly = localY - Math.max(-halfH, Math.min(localY, halfH));
+                    dx = cos * lx - sin * ly;
+                    dy = sin * lx + cos * ly;
+                } else if (isPolygon || isWall) {
+                    const localX = cos * ex + sin * ey;
+                    const localY = -sin * ex + cos * ey;
+                    if (isPolygon && this.isPointInPolygon(shape.vertices, localX, localY)) continue;
+                    this.closestOnPolygon(shape.vertices, localX, localY, isPolygon);
+                    const lx = localX - this.closestX;
+                    const ly = localY - this.closestY;
+                    dx = cos * lx - sin * ly;
+                    dy = sin * lx + cos * ly;
+                } else {
+                    const dist = Math.sqrt(ex * ex + ey * ey);
+                    if (dist <= shape.radius) continue;
+                    const scale = (dist - shape.radius) / dist;
+                    dx = ex * scale;
+                    dy = ey * scale;
+                }
+
                 const distSq = dx * dx + dy * dy;
-                const minDist = c1.radius + c2.radius;
-                const minDistSq = minDist * minDist;
-                
-                if (distSq < minDistSq && distSq > 0.01) {
-                    const dist = Math.sqrt(distSq);
-                    const nx = dx / dist;
-                    const ny = dy / dist;
-                    
-                    // Separate circles
-                    const overlap = minDist - dist;
-                    const totalMass = c1.mass + c2.mass;
-                    const ratio1 = c2.mass / totalMass;
-                    const ratio2 = c1.mass / totalMass;
-                    
-                    c1.x -= nx * overlap * ratio1;
-                    c1.y -= ny * overlap * ratio1;
-                    c2.x += nx * overlap * ratio2;
-                    c2.y += ny * overlap * ratio2;
-                    
-                    // Elastic collision response
-                    const dvx = c2.vx - c1.vx;
-                    const dvy = c2.vy - c1.vy;
-                    const dvDotN = dvx * nx + dvy * ny;
-                    
-                    if (dvDotN < 0) {
-                        // Apply a small damping effect scaled from the damping property
-                        // damping=1.0 means fully elastic, damping=0.0 means fully inelastic
-                        const restitution = 0.5 + this.damping * 0.5; // maps [0,1] -> [0.5, 1.0]
-                        const impulse = dvDotN * restitution;
-                        c1.vx += nx * impulse * ratio1;
-                        c1.vy += ny * impulse * ratio1;
-                        c2.vx -= nx * impulse * ratio2;
-                        c2.vy -= ny * impulse * ratio2;
+                if (distSq === 0) continue; // Inside the shape
+
+                // Softened inverse square from the surface; like charges repel
+                const dist = Math.sqrt(distSq);
+                const mass = masses ? masses[i] : 1;
+                const a = shape.charge * q / (distSq + softeningSq) / mass * dt;
+                velocities[idx] += dx / dist * a;
+                velocities[idx + 1] += dy / dist * a;
+            }
+        }
+    }
+
+    applyMagneticFields(dt) {
+        // F = q v x B with B = (0, 0, bz) turns the velocity at the cyclotron frequency
+        // q * bz / m. Rotating it by the exact angle keeps speeds from drifting.
+        const positions = this.positions;
+        const velocities = this.velocities;
+        const charges = this.charges;
+        const masses = this.masses;
+
+        for (const field of this.magneticFields) {
+            const region = field.region || null;
+            const bzdt = (field.bz || 0) * dt;
+            if (bzdt === 0) continue;
+
+            for (let i = 0; i < this.particleCount; i++) {
+                const q = charges[i];
+                if (q === 0) continue;
+
+                const idx = i * 2;
+                if (region && !this.isPointInRegion(positions[idx], positions[idx + 1], region)) continue;
+
+                const angle = -q * bzdt / (masses ? masses[i] : 1);
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                const vx = velocities[idx];
+                const vy = velocities[idx + 1];
+                velocities[idx] = vx * cos - vy * sin;
+                velocities[idx + 1] = vx * sin + vy * cos;
+            }
+        }
+    }
+
+    setMagneticFields(fields) {
+        this.magneticFields = (fields || []).map(field => ({ ...field }));
+    }
+
+    applyPairForces(dt, soft, coulomb) {
+        // Smooth pair forces between nearby particles, found through the spatial grid:
+        // the soft interaction model (Lennard-Jones or soft repulsion) and short-range
+        // Coulomb forces. Both are shifted to reach zero at their cutoff so particles
+        // crossing it don't get a kick.
+        const positions = this.positions;
+        const velocities = this.velocities;
+        const charges = coulomb ? this.charges : null;
+        const masses = this.masses;
+        const speciesIds = this.speciesIds;
+        const speciesCollide = this.speciesCollide;
+        const speciesCount = this.species ? this.species.length : 0;
+
+        const lennardJones = soft && this.interaction === 'lennard-jones';
+        const { epsilon, sigma } = this.interactionParams;
+        const softCutoff = soft ? this.getInteractionCutoff() : 0;
+        const softCutoffSq = softCutoff * softCutoff;
+        // Lennard-Jones is capped at its value at sigma, so overlapping or fast head-on
+        // pairs can't pick up an enormous kick in one step
+        const minDistSq = sigma * sigma;
+        const softShift = lennardJones ? this.lennardJonesForce(softCutoffSq) : 0;
+
+        const coulombCutoff = coulomb ? this.coulomb.cutoff : 0;
+        const coulombCutoffSq = coulombCutoff * coulombCutoff;
+        const softeningSq = coulomb ? this.coulomb.softening * this.coulomb.softening : 0;
+        const coulombShift = coulomb ? 1 / (coulombCutoffSq + softeningSq) : 0;
+        const kdt = coulomb ? this.coulomb.strength * dt : 0;
+
+        const cutoffSq = Math.max(softCutoffSq, coulombCutoffSq);
+        const cols = this.gridCols;
+        const rows = this.gridRows;
+        const cellStart = this.cellStart;
+        const cellCount = this.cellCount;
+        const sorted = this.sortedIndices;
+        const reach = Math.ceil(Math.sqrt(cutoffSq) / this.cellSize);
+        // Periodic axes look across the seam when the neighborhood can't reach
+        // around and meet itself
+        const wrapWidth = cols > 2 * reach ? this.wrapWidth : 0;
+        const wrapHeight = rows > 2 * reach ? this.wrapHeight : 0;
+
+        for (let cellY = 0; cellY < rows; cellY++) {
+            for (let cellX = 0; cellX < cols; cellX++) {
+                const cell = cellY * cols + cellX;
+                const count = cellCount[cell];
+                if (count === 0) continue;
+                const start = cellStart[cell];
+                const end = start + count;
+
+                for (let a = start; a < end; a++) {
+                    const i = sorted[a];
+                    const qi = charges ? charges[i] : 0;
+                    if (!soft && qi === 0) continue;
+
+                    const xi = positions[i * 2];
+                    const yi = positions[i * 2 + 1];
+                    const invMassI = masses ? 1 / masses[i] : 1;
+
+                    // Half of the neighborhood so each pair is visited once: the rest of
+                    // this cell, the cells to its right, and every row below
+                    for (let oy = 0; oy <= reach; oy++) {
+                        let ny = cellY + oy;
+                        if (ny >= rows) {
+                            if (!wrapHeight) break;
+                            ny -= rows;
+                        }
+
+                        for (let ox = oy === 0 ? 0 : -reach; ox <= reach; ox++) {
+                            let nx = cellX + ox;
+                            if (nx < 0 || nx >= cols) {
+                                if (!wrapWidth) continue;
+                                nx = nx < 0 ? nx + cols : nx - cols;
+                            }
+                            const other = ny * cols + nx;
+                            const otherCount = cellCount[other];
+                            if (otherCount === 0) continue;
+
+                            const otherStart = other === cell ? a + 1 : cellStart[other];
+                            const otherEnd = cellStart[other] + otherCount;
+
+                            for (let b = otherStart; b < otherEnd; b++) {
+                                const j = sorted[b];
+                                const dx = this.wrapDelta(positions[j * 2] - xi, wrapWidth);
+                                const dy = this.wrapDelta(positions[j * 2 + 1] - yi, wrapHeight);
+                                const distSq = dx * dx + dy * dy;
+                                if (distSq >= cutoffSq || distSq === 0) continue;
+
+                                // Force along the pair divided by distance; positive pushes them apart
+                                let force = 0;
+
+                                if (qi !== 0 && distSq < coulombCutoffSq) {
+                                    force += kdt * qi * charges[j] * (1 / (distSq + softeningSq) - coulombShift);
+                                }
+
+                                if (distSq < softCutoffSq &&
+                                    !(speciesIds && !speciesCollide[speciesIds[i] * speciesCount + speciesIds[j]])) {
+                                    if (lennardJones) {
+                                        force += (this.lennardJonesForce(Math.max(distSq, minDistSq)) - softShift) * dt;
+                                    } else {
+                                        // U = epsilon * (1 - r / sigma)^2 inside sigma
+                                        const dist = Math.sqrt(distSq);
+                                        force += 2 * epsilon / sigma * (1 - dist / sigma) * dt;
+                                    }
+                                }
+
+                                if (force === 0) continue;
+
+                                const impulse = force / Math.sqrt(distSq);
+                                const invMassJ = masses ? 1 / masses[j] : 1;
+
+                                velocities[i * 2] -= dx * impulse * invMassI;
+                                velocities[i * 2 + 1] -= dy * impulse * invMassI;
+                                velocities[j * 2] += dx * impulse * invMassJ;
+                                velocities[j * 2 + 1] += dy * impulse * invMassJ;
+                            }
+                        }
                     }
                 }
             }
         }
     }
 
-    handleShapeCollisions(idx) {
-        const x = this.positions[idx];
-        const y = this.positions[idx + 1];
-        const r = this.particleRadius;
+    lennardJonesForce(distSq) {
+        // F(r) = 24 epsilon / r * (2 (sigma/r)^12 - (sigma/r)^6), positive when repulsive
+        const { epsilon, sigma } = this.interactionParams;
+        const sr2 = sigma * sigma / distSq;
+        const sr6 = sr2 * sr2 * sr2;
+        return 24 * epsilon * (2 * sr6 * sr6 - sr6) / Math.sqrt(distSq);
+    }
+
+    getInteractionCutoff() {
+        // Soft repulsion ends at sigma; Lennard-Jones defaults to the usual 2.5 sigma
+        const { sigma, cutoff } = this.interactionParams;
+        if (this.interaction === 'soft-repulsive') return sigma;
+        return cutoff || sigma * 2.5;
+    }
+
+    setInteraction(interaction, params = {}) {
+        this.interaction = interaction || 'hard';
+        this.interactionParams = {
+            epsilon: params.epsilon !== undefined ? params.epsilon : 1000,
+            sigma: params.sigma !== undefined ? params.sigma : this.particleRadius * 2,
+            cutoff: params.cutoff
+        };
+    }
+
+    setCoulomb(coulomb) {
+        this.coulomb = coulomb ? { softening: 4, ...coulomb } : null;
+    }
+
+    isPointInRegion(x, y, region) {
+        if (region.type === 'circle') {
+            const dx = x - region.x;
+            const dy = y - region.y;
+            return dx * dx + dy * dy <= region.radius * region.radius;
+        }
+        return x >= region.x && x <= region.x + region.width &&
+               y >= region.y && y <= region.y + region.height;
+    }
+
+    setForces(forces) {
+        this.forces = (forces || []).map(force => ({ ...force }));
+    }
+
+    handleShapeCollisions(idx, prevX, prevY, r) {
+        // prevX/prevY is where the particle started this step; every handler sweeps
+        // the path from there so fast particles can't tunnel through thin shapes.
+        // Returns true when a sink swallowed the particle and it should be removed
 
         for (const shape of this.shapes) {
-            if (shape.type === 'rect') {
-                if (shape.rotating && shape.rotationSpeed) {
-                    // Handle rotating rectangle collision
-                    this.handleRotatingRectCollision(idx, shape, x, y, r);
+            if (shape.sink) {
+                if (this.hitsSink(idx, shape, prevX, prevY)) {
+                    this.absorbIntoSink(idx, shape);
+                    return true;
+                }
+            } else if (shape.type === 'rect') {
+                if ((shape.rotating && shape.rotationSpeed) || shape.moveable) {
+                    // Handle rotating (or free rigid body) rectangle collision
+                    this.handleRotatingRectCollision(idx, shape, prevX, prevY, r);
                 } else {
                     // Handle static rectangle collision
-                    this.handleStaticRectCollision(idx, shape, x, y, r);
+                    this.handleStaticRectCollision(idx, shape, prevX, prevY, r);
                 }
             } else if (shape.type === 'circle') {
                 if (shape.absorb) {
-                    this.handleAbsorbCircle(idx, shape, x, y);
+                    this.handleAbsorbCircle(idx, shape, prevX, prevY);
                 } else {
-                    this.handleCircleCollision(idx, shape, x, y, r);
+                    this.handleCircleCollision(idx, shape, prevX, prevY, r);
                 }
+            } else if (shape.type === 'polygon') {
+                this.handlePolygonCollision(idx, shape, prevX, prevY, r);
+            } else if (shape.type === 'segment' || shape.type === 'polyline') {
+                this.handleWallCollision(idx, shape, prevX, prevY, r);
             }
         }
+        return false;
+    }
+
+    hitsSink(idx, shape, prevX, prevY) {
+        // A sink takes the particle once its center ends inside the shape or its
+        // path crossed the shape this step
+        if (shape.type === 'circle') {
+            const x0 = this.wrapDelta(prevX - (shape.prevX ?? shape.x), this.wrapWidth);
+            const y0 = this.wrapDelta(prevY - (shape.prevY ?? shape.y), this.wrapHeight);
+            const x1 = this.wrapDelta(this.positions[idx] - shape.x, this.wrapWidth);
+            const y1 = this.wrapDelta(this.positions[idx + 1] - shape.y, this.wrapHeight);
+            return x1 * x1 + y1 * y1 < shape.radius * shape.radius ||
+                this.sweepCircle(x0, y0, x1, y1, shape.radius) >= 0;
+        }
+        if (shape.type !== 'rect') return false;
+
+        // Same local-space path as handleBoxCollision
+        const halfW = shape.width / 2;
+        const halfH = shape.height / 2;
+        const angle = shape.angle || 0;
+        const prevAngle = shape.prevAngle ?? angle;
+
+        const ex = this.wrapDelta(this.positions[idx] - shape.x - halfW, this.wrapWidth);
+        const ey = this.wrapDelta(this.positions[idx + 1] - shape.y - halfH, this.wrapHeight);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const x1 = cos * ex + sin * ey;
+        const y1 = -sin * ex + cos * ey;
+        if (Math.abs(x1) <= halfW && Math.abs(y1) <= halfH) return true;
+
+        const sx = this.wrapDelta(prevX - (shape.prevX ?? shape.x) - halfW, this.wrapWidth);
+        const sy = this.wrapDelta(prevY - (shape.prevY ?? shape.y) - halfH, this.wrapHeight);
+        const prevCos = Math.cos(prevAngle);
+        const prevSin = Math.sin(prevAngle);
+        const x0 = prevCos * sx + prevSin * sy;
+        const y0 = -prevSin * sx + prevCos * sy;
+        return this.sweepBox(x0, y0, x1, y1, halfW, halfH) >= 0;
+    }
+
+    absorbIntoSink(idx, shape) {
+        // Record what the sink took in; the caller removes the particle
+        const mass = this.masses ? this.masses[idx >> 1] : 1.0;
+        const vx = this.velocities[idx];
+        const vy = this.velocities[idx + 1];
+
+        shape.sinkCount++;
+        shape.sinkMomentumX += mass * vx;
+        shape.sinkMomentumY += mass * vy;
+        shape.sinkEnergy += 0.5 * mass * (vx * vx + vy * vy);
+
+        if (shape.moveable) {
+            // Inelastic capture, as for absorbing circles
+            const shapeMass = shape.mass || 1000;
+            shape.vx += (vx * mass) / shapeMass;
+            shape.vy += (vy * mass) / shapeMass;
+        }
+    }
+
+    resetSinkStats(shape) {
+        shape.sinkCount = 0;
+        shape.sinkMomentumX = 0;
+        shape.sinkMomentumY = 0;
+        shape.sinkEnergy = 0;
+    }
+
+    getSinkStats() {
+        // Totals for every sink shape since the last reset
+        return ParticleSimulation.sinkStats(this.shapes);
+    }
+
+    static sinkStats(shapes) {
+        const stats = [];
+        shapes.forEach((shape, index) => {
+            if (!shape.sink) return;
+            stats.push({
+                index,
+                label: shape.label ?? null,
+                count: shape.sinkCount,
+                momentumX: shape.sinkMomentumX,
+                momentumY: shape.sinkMomentumY,
+                energy: shape.sinkEnergy
+            });
+        });
+        return stats;
     }
 
-    handleAbsorbCircle(idx, shape, x, y) {
-        const dx = x - shape.x;
-        const dy = y - shape.y;
-        const distSq = dx * dx + dy * dy;
+    handleAbsorbCircle(idx, shape, prevX, prevY) {
+        // Absorb if the particle ends inside or passed through the circle this step
+        const x0 = this.wrapDelta(prevX - (shape.prevX ?? shape.x), this.wrapWidth);
+        const y0 = this.wrapDelta(prevY - (shape.prevY ?? shape.y), this.wrapHeight);
+        const x1 = this.wrapDelta(this.positions[idx] - shape.x, this.wrapWidth);
+        const y1 = this.wrapDelta(this.positions[idx + 1] - shape.y, this.wrapHeight);
 
-        if (distSq < shape.radius * shape.radius) {
+        if (x1 * x1 + y1 * y1 < shape.radius * shape.radius ||
+            this.sweepCircle(x0, y0, x1, y1, shape.radius) >= 0) {
             // Apply momentum transfer to shape before teleporting particle
             if (shape.moveable) {
                 const circleMass = shape.mass || 1000;
-                const particleMass = 1.0;
+                const particleMass = this.masses ? this.masses[idx >> 1] : 1.0;
                 // Transfer particle momentum to shape (inelastic absorption)
                 shape.vx += (this.velocities[idx] * particleMass) / circleMass;
                 shape.vy += (this.velocities[idx + 1] * particleMass) / circleMass;
@@ -479,8 +2056,8 @@ export class ParticleSimulation {
             // Teleport particle to a random position away from all absorbing circles
             let placed = false;
             for (let attempt = 0; attempt < 20; attempt++) {
-                const rx = Math.random() * this.bounds.width;
-                const ry = Math.random() * this.bounds.height;
+                const rx = this.random() * this.bounds.width;
+                const ry = this.random() * this.bounds.height;
                 let inside = false;
                 for (const s of this.shapes) {
                     if (s.absorb && s.type === 'circle') {
@@ -495,8 +2072,8 @@ export class ParticleSimulation {
                 if (!inside) {
                     this.positions[idx] = rx;
                     this.positions[idx + 1] = ry;
-                    const speed = 50 + Math.random() * 100;
-                    const angle = Math.random() * Math.PI * 2;
+                    const speed = 50 + this.random() * 100;
+                    const angle = this.random() * Math.PI * 2;
                     this.velocities[idx] = Math.cos(angle) * speed;
                     this.velocities[idx + 1] = Math.sin(angle) * speed;
                     placed = true;
@@ -505,293 +2082,799 @@ export class ParticleSimulation {
             }
             if (!placed) {
                 // Fallback: just push to edge
-                this.positions[idx] = Math.random() * this.bounds.width;
+                this.positions[idx] = this.random() * this.bounds.width;
                 this.positions[idx + 1] = 0;
             }
         }
     }
 
-    handleStaticRectCollision(idx, shape, x, y, r) {
-        const {x: rx, y: ry, width: rw, height: rh} = shape;
-
-        // Expand rectangle by particle radius for swept test
-        const ex = rx - r;
-        const ey = ry - r;
-        const ew = rw + r * 2;
-        const eh = rh + r * 2;
-
-        // Current position
-        const cx = this.positions[idx];
-        const cy = this.positions[idx + 1];
-
-        // Find closest point on expanded rectangle to particle
-        const closestX = Math.max(ex, Math.min(cx, ex + ew));
-        const closestY = Math.max(ey, Math.min(cy, ey + eh));
+    handleStaticRectCollision(idx, shape, prevX, prevY, r) {
+        const angle = shape.angle || 0;
+        this.handleBoxCollision(idx, shape, prevX, prevY, r, angle, angle, 0);
+    }
 
-        const dx = cx - closestX;
-        const dy = cy - closestY;
-        const distSq = dx * dx + dy * dy;
+    handleRotatingRectCollision(idx, shape, prevX, prevY, r) {
+        const angle = shape.angle || 0;
+        const prevAngle = shape.prevAngle ?? angle;
+        this.handleBoxCollision(idx, shape, prevX, prevY, r, angle, prevAngle, shape.rotationSpeed);
+    }
 
-        if (distSq < r * r || (cx >= rx && cx <= rx + rw && cy >= ry && cy <= ry + rh)) {
-            // Standard push-out resolution
-            const closestX2 = Math.max(rx, Math.min(cx, rx + rw));
-            const closestY2 = Math.max(ry, Math.min(cy, ry + rh));
-            const dx2 = cx - closestX2;
-            const dy2 = cy - closestY2;
-            const dist2 = Math.sqrt(dx2 * dx2 + dy2 * dy2);
-
-            if (dist2 > 0.01) {
-                const nx = dx2 / dist2;
-                const ny = dy2 / dist2;
-                const overlap = r - dist2;
-                this.positions[idx] += nx * (overlap + 0.1);
-                this.positions[idx + 1] += ny * (overlap + 0.1);
-                const dot = this.velocities[idx] * nx + this.velocities[idx + 1] * ny;
-                if (dot < 0) {
-                    this.velocities[idx] = (this.velocities[idx] - 2 * dot * nx) * this.damping;
-                    this.velocities[idx + 1] = (this.velocities[idx + 1] - 2 * dot * ny) * this.damping;
-                }
+    handleBoxCollision(idx, shape, prevX, prevY, r, angle, prevAngle, angularVelocity) {
+        const halfW = shape.width / 2;
+        const halfH = shape.height / 2;
+
+        // Calculate center of rectangle now and at the start of the step
+        const centerX = shape.x + halfW;
+        const centerY = shape.y + halfH;
+        const prevCenterX = (shape.prevX ?? shape.x) + halfW;
+        const prevCenterY = (shape.prevY ?? shape.y) + halfH;
+
+        // Transform the particle path into the rectangle's local space: the start
+        // through the rectangle's previous pose, the end through its current pose,
+        // so the local path includes the rectangle's own motion and rotation
+        // (nearest periodic image when the edges wrap)
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const ex = this.wrapDelta(this.positions[idx] - centerX, this.wrapWidth);
+        const ey = this.wrapDelta(this.positions[idx + 1] - centerY, this.wrapHeight);
+        const localX1 = cos * ex + sin * ey;
+        const localY1 = -sin * ex + cos * ey;
+
+        const prevCos = Math.cos(prevAngle);
+        const prevSin = Math.sin(prevAngle);
+        const sx = this.wrapDelta(prevX - prevCenterX, this.wrapWidth);
+        const sy = this.wrapDelta(prevY - prevCenterY, this.wrapHeight);
+        const localX0 = prevCos * sx + prevSin * sy;
+        const localY0 = -prevSin * sx + prevCos * sy;
+
+        let localNx, localNy, contactX, contactY;
+        const t = this.sweepBox(localX0, localY0, localX1, localY1, halfW + r, halfH + r);
+
+        if (t >= 0) {
+            // Path entered the rectangle (expanded by the particle radius)
+            localNx = this.sweepNx;
+            localNy = this.sweepNy;
+            contactX = localX0 + (localX1 - localX0) * t;
+            contactY = localY0 + (localY1 - localY0) * t;
+        } else {
+            // No crossing this step - resolve any overlap at the end position
+            const closestX = Math.max(-halfW, Math.min(localX1, halfW));
+            const closestY = Math.max(-halfH, Math.min(localY1, halfH));
+            const dx = localX1 - closestX;
+            const dy = localY1 - closestY;
+            const distSq = dx * dx + dy * dy;
+
+            if (distSq >= r * r) return;
+
+            if (distSq > 0.0001) {
+                const dist = Math.sqrt(distSq);
+                localNx = dx / dist;
+                localNy = dy / dist;
+                contactX = closestX + localNx * r;
+                contactY = closestY + localNy * r;
             } else {
                 // Particle is inside rect - push out through nearest face
-                const dLeft = cx - rx;
-                const dRight = (rx + rw) - cx;
-                const dTop = cy - ry;
-                const dBottom = (ry + rh) - cy;
+                const dLeft = localX1 + halfW;
+                const dRight = halfW - localX1;
+                const dTop = localY1 + halfH;
+                const dBottom = halfH - localY1;
                 const minD = Math.min(dLeft, dRight, dTop, dBottom);
+                localNx = 0;
+                localNy = 0;
+                contactX = localX1;
+                contactY = localY1;
                 if (minD === dLeft) {
-                    this.positions[idx] = rx - r;
-                    this.velocities[idx] = -Math.abs(this.velocities[idx]) * this.damping;
+                    localNx = -1;
+                    contactX = -halfW - r;
                 } else if (minD === dRight) {
-                    this.positions[idx] = rx + rw + r;
-                    this.velocities[idx] = Math.abs(this.velocities[idx]) * this.damping;
+                    localNx = 1;
+                    contactX = halfW + r;
                 } else if (minD === dTop) {
-                    this.positions[idx + 1] = ry - r;
-                    this.velocities[idx + 1] = -Math.abs(this.velocities[idx + 1]) * this.damping;
+                    localNy = -1;
+                    contactY = -halfH - r;
                 } else {
-                    this.positions[idx + 1] = ry + rh + r;
-                    this.velocities[idx + 1] = Math.abs(this.velocities[idx + 1]) * this.damping;
+                    localNy = 1;
+                    contactY = halfH + r;
                 }
             }
+        }
+
+        // Transform contact and normal back to world space
+        const worldNx = cos * localNx - sin * localNy;
+        const worldNy = sin * localNx + cos * localNy;
+        const worldX = cos * contactX - sin * contactY + centerX;
+        const worldY = sin * contactX + cos * contactY + centerY;
+
+        this.positions[idx] = worldX + worldNx * this.contactSkin;
+        this.positions[idx + 1] = worldY + worldNy * this.contactSkin;
+
+        if (shape.moveable) {
+            this.applyRigidBodyImpulse(idx, shape, worldNx, worldNy, worldX - centerX, worldY - centerY);
             return;
         }
 
-        // Swept test: check if particle path crosses rectangle
-        const prevX = x;
-        const prevY = y;
-        if (prevX === cx && prevY === cy) return;
+        // Velocity of the rotating surface at the contact point: v = ω × r
+        const surfaceVelX = -(worldY - centerY) * angularVelocity;
+        const surfaceVelY = (worldX - centerX) * angularVelocity;
 
-        // Check if path segment intersects expanded rectangle
-        if (this.lineIntersectsRect(prevX, prevY, cx, cy, ex, ey, ew, eh)) {
-            // Find which face was hit by checking velocity direction
-            const vx = this.velocities[idx];
-            const vy = this.velocities[idx + 1];
+        this.reflectParticle(idx, worldNx, worldNy, surfaceVelX, surfaceVelY, shape);
+    }
 
-            // Determine dominant collision axis
-            let nx = 0, ny = 0;
-            if (Math.abs(vx) > Math.abs(vy)) {
-                nx = vx > 0 ? -1 : 1;
-                this.positions[idx] = nx > 0 ? rx - r : rx + rw + r;
-            } else {
-                ny = vy > 0 ? -1 : 1;
-                this.positions[idx + 1] = ny > 0 ? ry - r : ry + rh + r;
-            }
+    applyRigidBodyImpulse(idx, shape, nx, ny, armX, armY) {
+        // Collision between a particle and a free body, hit at offset (armX, armY)
+        // from its center. Impulses along the normal and along the surface exchange
+        // linear and angular momentum, weighted by mass and moment of inertia, and
+        // the body's material sets their size as reflectParticle does on static
+        // shapes. Only rectangles spin; moveable circles have no inertia.
+        if (shape.sticky && this.frozen) {
+            // Sticky bodies freeze what touches them, like sticky static shapes
+            this.freezeParticle(idx >> 1);
+            return;
+        }
 
-            const dot = vx * nx + vy * ny;
-            if (dot < 0) {
-                this.velocities[idx] = (vx - 2 * dot * nx) * this.damping;
-                this.velocities[idx + 1] = (vy - 2 * dot * ny) * this.damping;
-            }
+        const velocities = this.velocities;
+        const particleMass = this.masses ? this.masses[idx >> 1] : 1.0;
+        const invMass = 1 / particleMass + 1 / shape.mass;
+        const invInertia = shape.type === 'rect' ? 1 / shape.inertia : 0;
+        const omega = shape.rotating ? shape.rotationSpeed || 0 : 0;
+
+        // Velocity of the body's surface at the contact point: v + ω × r, plus the
+        // conveyor speed
+        let surfaceVelX = shape.vx - armY * omega;
+        let surfaceVelY = shape.vy + armX * omega;
+        if (shape.surfaceSpeed) {
+            surfaceVelX -= ny * shape.surfaceSpeed;
+            surfaceVelY += nx * shape.surfaceSpeed;
         }
-    }
 
-    handleRotatingRectCollision(idx, shape, x, y, r) {
-        const {x: rx, y: ry, width: rw, height: rh, angle, rotationSpeed} = shape;
-        
-        // Calculate center of rectangle
-        const centerX = rx + rw / 2;
-        const centerY = ry + rh / 2;
-
-        // Transform particle position to rectangle's local space
-        const cos = Math.cos(-angle);
-        const sin = Math.sin(-angle);
-        const localX = cos * (x - centerX) - sin * (y - centerY);
-        const localY = sin * (x - centerX) + cos * (y - centerY);
-
-        // Find closest point in local space
-        const halfW = rw / 2;
-        const halfH = rh / 2;
-        const closestX = Math.max(-halfW, Math.min(localX, halfW));
-        const closestY = Math.max(-halfH, Math.min(localY, halfH));
+        // A thermal body re-emits the particle relative to its surface and takes up
+        // the momentum the particle gains or loses
+        if (shape.temperature !== undefined) {
+            const vx = velocities[idx];
+            const vy = velocities[idx + 1];
+            this.emitThermal(idx, nx, ny, surfaceVelX, surfaceVelY, shape.temperature);
+            this.applyShapeImpulse(shape, (vx - velocities[idx]) * particleMass,
+                (vy - velocities[idx + 1]) * particleMass, armX, armY);
+            return;
+        }
 
-        const dx = localX - closestX;
-        const dy = localY - closestY;
-        const distSq = dx * dx + dy * dy;
+        const relVx = velocities[idx] - surfaceVelX;
+        const relVy = velocities[idx + 1] - surfaceVelY;
+        const relDotN = relVx * nx + relVy * ny;
+        if (relDotN >= 0) return;
+
+        const restitution = shape.restitution ?? 1; // Elastic unless the body sets its own
+        const friction = shape.friction ?? (shape.surfaceSpeed ? 1 : 0);
+
+        const armCrossN = armX * ny - armY * nx;
+        const normalImpulse = -(1 + restitution) * relDotN / (invMass + armCrossN * armCrossN * invInertia);
+
+        // Friction takes away its fraction of the sliding speed, but no more than
+        // the Coulomb limit of friction times the normal impulse
+        let tangentImpulse = 0;
+        if (friction > 0) {
+            const relDotT = relVy * nx - relVx * ny;
+            const armCrossT = armX * nx + armY * ny;
+            const maxImpulse = friction * normalImpulse;
+            tangentImpulse = -friction * relDotT / (invMass + armCrossT * armCrossT * invInertia);
+            tangentImpulse = Math.max(-maxImpulse, Math.min(tangentImpulse, maxImpulse));
+        }
 
-        if (distSq < r * r) {
-            const dist = Math.sqrt(distSq);
-            if (dist > 0.01) {
-                // Normal in local space
-                const localNx = dx / dist;
-                const localNy = dy / dist;
+        // Tangent is the normal turned a quarter turn, (-ny, nx)
+        const impulseX = nx * normalImpulse - ny * tangentImpulse;
+        const impulseY = ny * normalImpulse + nx * tangentImpulse;
+        velocities[idx] += impulseX / particleMass;
+        velocities[idx + 1] += impulseY / particleMass;
+        this.applyShapeImpulse(shape, -impulseX, -impulseY, armX, armY);
+    }
 
-                // Transform normal back to world space
-                const worldNx = cos * localNx + sin * localNy;
-                const worldNy = -sin * localNx + cos * localNy;
+    applyShapeImpulse(shape, impulseX, impulseY, armX, armY) {
+        // Push a moveable shape at offset (armX, armY) from its center
+        shape.vx += impulseX / shape.mass;
+        shape.vy += impulseY / shape.mass;
+        if (shape.type === 'rect') {
+            shape.rotationSpeed += (armX * impulseY - armY * impulseX) / shape.inertia;
+        }
+    }
 
-                const overlap = r - dist;
+    handlePolygonCollision(idx, shape, prevX, prevY, r) {
+        const vertices = shape.vertices;
+        const n = vertices.length;
+        const angle = shape.angle || 0;
+        const prevAngle = shape.prevAngle ?? angle;
+
+        // Particle path in the polygon's local space, as in handleBoxCollision:
+        // the start through the previous pose, the end through the current one
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const ex = this.wrapDelta(this.positions[idx] - shape.x, this.wrapWidth);
+        const ey = this.wrapDelta(this.positions[idx + 1] - shape.y, this.wrapHeight);
+        const x1 = cos * ex + sin * ey;
+        const y1 = -sin * ex + cos * ey;
+
+        const prevCos = Math.cos(prevAngle);
+        const prevSin = Math.sin(prevAngle);
+        const sx = this.wrapDelta(prevX - (shape.prevX ?? shape.x), this.wrapWidth);
+        const sy = this.wrapDelta(prevY - (shape.prevY ?? shape.y), this.wrapHeight);
+        const x0 = prevCos * sx + prevSin * sy;
+        const y0 = -prevSin * sx + prevCos * sy;
+
+        // Skip paths that never come within reach of the polygon
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const lengthSq = dx * dx + dy * dy;
+        const s = lengthSq > 0 ? Math.max(0, Math.min(1, -(x0 * dx + y0 * dy) / lengthSq)) : 0;
+        const px = x0 + dx * s;
+        const py = y0 + dy * s;
+        const reach = shape.boundingRadius + r;
+        if (px * px + py * py > reach * reach) return;
+
+        // The polygon grown by r is the union of a capsule around every edge, so
+        // the path is swept against each edge pushed out by r and each vertex circle
+        let best = 2;
+        let nx = 0;
+        let ny = 0;
+        for (let i = 0; i < n; i++) {
+            const [ax, ay] = vertices[i];
+            const [bx, by] = vertices[(i + 1) % n];
+            const edgeX = bx - ax;
+            const edgeY = by - ay;
+            const edgeLength = Math.sqrt(edgeX * edgeX + edgeY * edgeY);
+            if (edgeLength === 0) continue;
+
+            const edgeNx = shape.winding * edgeY / edgeLength;
+            const edgeNy = -shape.winding * edgeX / edgeLength;
+            const approach = dx * edgeNx + dy * edgeNy;
+            if (approach < 0) {
+                const gap = (x0 - ax) * edgeNx + (y0 - ay) * edgeNy - r;
+                const t = gap / -approach;
+                if (gap >= 0 && t < best && t <= 1) {
+                    const along = ((x0 + dx * t - ax) * edgeX + (y0 + dy * t - ay) * edgeY) / (edgeLength * edgeLength);
+                    if (along >= 0 && along <= 1) {
+                        best = t;
+                        nx = edgeNx;
+                        ny = edgeNy;
+                    }
+                }
+            }
 
-                this.positions[idx] += worldNx * overlap;
-                this.positions[idx + 1] += worldNy * overlap;
+            const t = this.sweepCircle(x0 - ax, y0 - ay, x1 - ax, y1 - ay, r);
+            if (t >= 0 && t < best) {
+                best = t;
+                nx = (x0 + dx * t - ax) / r;
+                ny = (y0 + dy * t - ay) / r;
+            }
+        }
 
-                // Calculate surface velocity at collision point
-                // Convert closest point back to world space
-                const worldClosestX = cos * closestX - sin * closestY + centerX;
-                const worldClosestY = sin * closestX + cos * closestY + centerY;
-                
-                // Calculate velocity of rotating surface at this point
-                // v = ω × r (cross product in 2D: perpendicular to radius)
-                const radiusX = worldClosestX - centerX;
-                const radiusY = worldClosestY - centerY;
-                
-                // Perpendicular velocity due to rotation (tangent to circle)
-                const surfaceVelX = -radiusY * rotationSpeed;
-                const surfaceVelY = radiusX * rotationSpeed;
+        let contactX, contactY;
+        if (best <= 1) {
+            // Path entered the grown polygon
+            contactX = x0 + dx * best;
+            contactY = y0 + dy * best;
+        } else {
+            // No crossing this step - resolve any overlap at the end position
+            const distSq = this.closestOnPolygon(vertices, x1, y1);
+            const inside = this.isPointInPolygon(vertices, x1, y1);
+            if (!inside && distSq >= r * r) return;
+
+            const [ax, ay] = vertices[this.closestEdge];
+            const [bx, by] = vertices[(this.closestEdge + 1) % n];
+            const edgeLength = Math.sqrt((bx - ax) ** 2 + (by - ay) ** 2) || 1;
+            if (distSq > 0.0001) {
+                // Away from the nearest outline point, or toward it when inside
+                const dist = Math.sqrt(distSq) * (inside ? -1 : 1);
+                nx = (x1 - this.closestX) / dist;
+                ny = (y1 - this.closestY) / dist;
+            } else {
+                nx = shape.winding * (by - ay) / edgeLength;
+                ny = -shape.winding * (bx - ax) / edgeLength;
+            }
+            contactX = this.closestX + nx * r;
+            contactY = this.closestY + ny * r;
+        }
 
-                // Reflect particle velocity relative to moving surface
-                const relativeVelX = this.velocities[idx] - surfaceVelX;
-                const relativeVelY = this.velocities[idx + 1] - surfaceVelY;
-                
-                const dot = relativeVelX * worldNx + relativeVelY * worldNy;
-                
-                if (dot < 0) {
-                    // Reflect relative velocity
-                    const reflectedRelVelX = relativeVelX - 2 * dot * worldNx;
-                    const reflectedRelVelY = relativeVelY - 2 * dot * worldNy;
-                    
-                    // Add surface velocity back and apply damping
-                    this.velocities[idx] = (reflectedRelVelX + surfaceVelX) * this.damping;
-                    this.velocities[idx + 1] = (reflectedRelVelY + surfaceVelY) * this.damping;
+        this.resolveLocalContact(idx, shape, nx, ny, contactX, contactY);
+    }
+
+    handleWallCollision(idx, shape, prevX, prevY, r) {
+        // Segments and polylines are open chains of edges with no inside. A wall of
+        // collision radius R is a capsule around every edge, and particles bounce
+        // off whichever side they approach from
+        const vertices = shape.vertices;
+        const n = vertices.length;
+        const angle = shape.angle || 0;
+        const prevAngle = shape.prevAngle ?? angle;
+        const reach = (shape.radius || 0) + r;
+
+        // Particle path in the wall's local space, as in handlePolygonCollision
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const ex = this.wrapDelta(this.positions[idx] - shape.x, this.wrapWidth);
+        const ey = this.wrapDelta(this.positions[idx + 1] - shape.y, this.wrapHeight);
+        const x1 = cos * ex + sin * ey;
+        const y1 = -sin * ex + cos * ey;
+
+        const prevCos = Math.cos(prevAngle);
+        const prevSin = Math.sin(prevAngle);
+        const sx = this.wrapDelta(prevX - (shape.prevX ?? shape.x), this.wrapWidth);
+        const sy = this.wrapDelta(prevY - (shape.prevY ?? shape.y), this.wrapHeight);
+        const x0 = prevCos * sx + prevSin * sy;
+        const y0 = -prevSin * sx + prevCos * sy;
+
+        // Skip paths that stay clear of the wall's bounding box
+        const extentX = shape.halfWidth + reach;
+        const extentY = shape.halfHeight + reach;
+        if (Math.min(x0, x1) > extentX || Math.max(x0, x1) < -extentX ||
+            Math.min(y0, y1) > extentY || Math.max(y0, y1) < -extentY) return;
+
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+
+        // Sweep against both faces of every edge and the circle at every vertex
+        let best = 2;
+        let nx = 0;
+        let ny = 0;
+        for (let i = 0; i < n; i++) {
+            const [ax, ay] = vertices[i];
+            const t = this.sweepCircle(x0 - ax, y0 - ay, x1 - ax, y1 - ay, reach);
+            if (t >= 0 && t < best) {
+                best = t;
+                nx = (x0 + dx * t - ax) / reach;
+                ny = (y0 + dy * t - ay) / reach;
+            }
+            if (i === n - 1) break;
+
+            const [bx, by] = vertices[i + 1];
+            const edgeX = bx - ax;
+            const edgeY = by - ay;
+            const edgeLength = Math.sqrt(edgeX * edgeX + edgeY * edgeY);
+            if (edgeLength === 0) continue;
+
+            for (let side = -1; side <= 1; side += 2) {
+                const faceNx = side * edgeY / edgeLength;
+                const faceNy = -side * edgeX / edgeLength;
+                const approach = dx * faceNx + dy * faceNy;
+                if (approach >= 0) continue;
+
+                const gap = (x0 - ax) * faceNx + (y0 - ay) * faceNy - reach;
+                const t = gap / -approach;
+                if (gap < 0 || t > 1 || t >= best) continue;
+
+                const along = ((x0 + dx * t - ax) * edgeX + (y0 + dy * t - ay) * edgeY) / (edgeLength * edgeLength);
+                if (along >= 0 && along <= 1) {
+                    best = t;
+                    nx = faceNx;
+                    ny = faceNy;
                 }
             }
         }
+
+        let contactX, contactY;
+        if (best <= 1) {
+            contactX = x0 + dx * best;
+            contactY = y0 + dy * best;
+        } else {
+            // No crossing this step - push out of any overlap at the end position
+            const distSq = this.closestOnPolygon(vertices, x1, y1, false);
+            if (distSq >= reach * reach) return;
+
+            if (distSq > 0.0001) {
+                const dist = Math.sqrt(distSq);
+                nx = (x1 - this.closestX) / dist;
+                ny = (y1 - this.closestY) / dist;
+            } else {
+                // Right on the line: back out toward the side the particle came from
+                const [ax, ay] = vertices[this.closestEdge];
+                const [bx, by] = vertices[this.closestEdge + 1];
+                const edgeLength = Math.sqrt((bx - ax) ** 2 + (by - ay) ** 2) || 1;
+                const side = (x0 - ax) * (by - ay) - (y0 - ay) * (bx - ax) < 0 ? -1 : 1;
+                nx = side * (by - ay) / edgeLength;
+                ny = -side * (bx - ax) / edgeLength;
+            }
+            contactX = this.closestX + nx * reach;
+            contactY = this.closestY + ny * reach;
+        }
+
+        this.resolveLocalContact(idx, shape, nx, ny, contactX, contactY);
     }
 
-    handleCircleCollision(idx, shape, x, y, r) {
+    resolveLocalContact(idx, shape, nx, ny, contactX, contactY) {
+        // Place the particle at a contact point and normal given in the local space
+        // of a polygon or wall, then reflect it off the (possibly rotating) surface
+        const angle = shape.angle || 0;
+        const angularVelocity = shape.rotating ? shape.rotationSpeed || 0 : 0;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        const worldNx = cos * nx - sin * ny;
+        const worldNy = sin * nx + cos * ny;
+        const offsetX = cos * contactX - sin * contactY;
+        const offsetY = sin * contactX + cos * contactY;
+
+        this.positions[idx] = shape.x + offsetX + worldNx * this.contactSkin;
+        this.positions[idx + 1] = shape.y + offsetY + worldNy * this.contactSkin;
+
+        // Velocity of the rotating surface at the contact point: v = ω × r
+        this.reflectParticle(idx, worldNx, worldNy, -offsetY * angularVelocity, offsetX * angularVelocity, shape);
+    }
+
+    handleCircleCollision(idx, shape, prevX, prevY, r) {
         // Ghost shapes don't collide with particles (for gravity shadow effect)
         if (shape.ghost) return;
         
         const {x: cx, y: cy, radius} = shape;
-        
-        const dx = x - cx;
-        const dy = y - cy;
-        const distSq = dx * dx + dy * dy;
         const combinedRadius = r + radius;
-        const combinedRadiusSq = combinedRadius * combinedRadius;
 
-        if (distSq < combinedRadiusSq && distSq > 0.01) {
+        // Particle path relative to the circle, which may have moved this step
+        // (nearest periodic image when the edges wrap)
+        const x0 = this.wrapDelta(prevX - (shape.prevX ?? cx), this.wrapWidth);
+        const y0 = this.wrapDelta(prevY - (shape.prevY ?? cy), this.wrapHeight);
+        const x1 = this.wrapDelta(this.positions[idx] - cx, this.wrapWidth);
+        const y1 = this.wrapDelta(this.positions[idx + 1] - cy, this.wrapHeight);
+
+        let nx, ny;
+        const t = this.sweepCircle(x0, y0, x1, y1, combinedRadius);
+
+        if (t >= 0) {
+            // Path entered the circle - normal at the point of entry
+            nx = (x0 + (x1 - x0) * t) / combinedRadius;
+            ny = (y0 + (y1 - y0) * t) / combinedRadius;
+        } else {
+            const distSq = x1 * x1 + y1 * y1;
+            if (distSq >= combinedRadius * combinedRadius || distSq <= 0.01) return;
+
             const dist = Math.sqrt(distSq);
-            const nx = dx / dist;
-            const ny = dy / dist;
-            
-            // Push particle out
-            const overlap = combinedRadius - dist;
-            this.positions[idx] += nx * overlap;
-            this.positions[idx + 1] += ny * overlap;
+            nx = x1 / dist;
+            ny = y1 / dist;
+        }
 
-            if (shape.moveable) {
-                const circleMass = shape.mass || 1000;
-                const particleMass = 1.0;
-                const totalMass = circleMass + particleMass;
-
-                // Relative velocity of particle with respect to circle surface
-                const relVx = this.velocities[idx] - shape.vx;
-                const relVy = this.velocities[idx + 1] - shape.vy;
-                const relDotN = relVx * nx + relVy * ny;
-
-                if (relDotN < 0) {
-                    // Full elastic impulse with mass ratio
-                    const impulse = (2.0 * relDotN) / totalMass;
-
-                    this.velocities[idx] -= nx * impulse * circleMass;
-                    this.velocities[idx + 1] -= ny * impulse * circleMass;
-                    shape.vx += nx * impulse * particleMass;
-                    shape.vy += ny * impulse * particleMass;
-                }
-            } else {
-                // Static circle - plain reflection with damping
-                const dot = this.velocities[idx] * nx + this.velocities[idx + 1] * ny;
-                if (dot < 0) {
-                    this.velocities[idx] = (this.velocities[idx] - 2 * dot * nx) * this.damping;
-                    this.velocities[idx + 1] = (this.velocities[idx + 1] - 2 * dot * ny) * this.damping;
-                }
+        // Place particle on the surface
+        this.positions[idx] = cx + nx * (combinedRadius + this.contactSkin);
+        this.positions[idx + 1] = cy + ny * (combinedRadius + this.contactSkin);
+
+        if (shape.moveable) {
+            // Contact point is on the circle's surface, along the normal
+            this.applyRigidBodyImpulse(idx, shape, nx, ny, nx * radius, ny * radius);
+        } else {
+            // Static circle - plain reflection with damping
+            this.reflectParticle(idx, nx, ny, 0, 0, shape);
+        }
+    }
+
+    reflectParticle(idx, nx, ny, surfaceVelX, surfaceVelY, shape) {
+        // Particles touching a sticky shape freeze where they are, on its surface
+        if (shape.sticky && this.frozen) {
+            this.freezeParticle(idx >> 1);
+            return;
+        }
+
+        // A conveyor surface also slides along itself, clockwise on screen for a
+        // positive surfaceSpeed
+        if (shape.surfaceSpeed) {
+            surfaceVelX -= ny * shape.surfaceSpeed;
+            surfaceVelY += nx * shape.surfaceSpeed;
+        }
+
+        // Thermal surfaces re-emit the particle diffusely at their own temperature
+        if (shape.temperature !== undefined) {
+            this.emitThermal(idx, nx, ny, surfaceVelX, surfaceVelY, shape.temperature);
+            return;
+        }
+
+        // Reflect particle velocity relative to the (possibly moving) surface
+        const relativeVelX = this.velocities[idx] - surfaceVelX;
+        const relativeVelY = this.velocities[idx + 1] - surfaceVelY;
+        const dot = relativeVelX * nx + relativeVelY * ny;
+        if (dot >= 0) return;
+
+        if (shape.restitution === undefined && shape.friction === undefined && !shape.surfaceSpeed) {
+            // Add surface velocity back and apply damping
+            this.velocities[idx] = (relativeVelX - 2 * dot * nx + surfaceVelX) * this.damping;
+            this.velocities[idx + 1] = (relativeVelY - 2 * dot * ny + surfaceVelY) * this.damping;
+            return;
+        }
+
+        // Material surface: restitution scales the normal rebound and friction pulls
+        // the tangential velocity toward the surface's (1 = full grip). Conveyors grip
+        // fully unless they set a friction of their own.
+        const restitution = shape.restitution ?? this.damping;
+        const friction = shape.friction ?? (shape.surfaceSpeed ? 1 : 0);
+        const tangentX = (relativeVelX - dot * nx) * (1 - friction);
+        const tangentY = (relativeVelY - dot * ny) * (1 - friction);
+        this.velocities[idx] = tangentX - restitution * dot * nx + surfaceVelX;
+        this.velocities[idx + 1] = tangentY - restitution * dot * ny + surfaceVelY;
+    }
+
+    emitThermal(idx, nx, ny, surfaceVelX, surfaceVelY, temperature) {
+        // Diffuse re-emission from a wall in equilibrium with a gas at the given
+        // temperature: the outgoing flux is Maxwellian, so the normal speed follows a
+        // Rayleigh distribution and the tangential speed a normal one
+        const sigma = Math.sqrt(temperature / (this.masses ? this.masses[idx >> 1] : 1));
+        const normalSpeed = sigma * Math.sqrt(-2 * Math.log(1 - this.random()));
+        const tangentSpeed = sigma * this.gaussian();
+
+        this.velocities[idx] = nx * normalSpeed - ny * tangentSpeed + surfaceVelX;
+        this.velocities[idx + 1] = ny * normalSpeed + nx * tangentSpeed + surfaceVelY;
+    }
+
+    // Sweep the segment (x0,y0)->(x1,y1) against a box centred on the origin with
+    // half extents halfW/halfH. Returns the entry time in [0, 1], or -1 when the
+    // segment doesn't enter the box (including when it starts inside). The normal
+    // of the face it entered through is left in sweepNx/sweepNy.
+    sweepBox(x0, y0, x1, y1, halfW, halfH) {
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        let tEnter = 0;
+        let tExit = 1;
+        let nx = 0;
+        let ny = 0;
+
+        if (Math.abs(dx) < 1e-9) {
+            if (x0 < -halfW || x0 > halfW) return -1;
+        } else {
+            // Entering through the left face when moving right, and vice versa
+            let tNear = (-halfW - x0) / dx;
+            let tFar = (halfW - x0) / dx;
+            let faceNx = -1;
+            if (tNear > tFar) {
+                const tmp = tNear; tNear = tFar; tFar = tmp;
+                faceNx = 1;
+            }
+            if (tNear > tEnter) {
+                tEnter = tNear;
+                nx = faceNx;
+                ny = 0;
+            }
+            if (tFar < tExit) tExit = tFar;
+            if (tEnter > tExit) return -1;
+        }
+
+        if (Math.abs(dy) < 1e-9) {
+            if (y0 < -halfH || y0 > halfH) return -1;
+        } else {
+            let tNear = (-halfH - y0) / dy;
+            let tFar = (halfH - y0) / dy;
+            let faceNy = -1;
+            if (tNear > tFar) {
+                const tmp = tNear; tNear = tFar; tFar = tmp;
+                faceNy = 1;
             }
+            if (tNear > tEnter) {
+                tEnter = tNear;
+                nx = 0;
+                ny = faceNy;
+            }
+            if (tFar < tExit) tExit = tFar;
+            if (tEnter > tExit) return -1;
         }
+
+        // No entry face means the segment started inside
+        if (nx === 0 && ny === 0) return -1;
+
+        this.sweepNx = nx;
+        this.sweepNy = ny;
+        return tEnter;
     }
 
-    buildSpatialHash() {
-        this.grid.clear();
+    // Sweep the segment (x0,y0)->(x1,y1) against a circle of the given radius at
+    // the origin. Returns the entry time in [0, 1], or -1 when the segment doesn't
+    // enter the circle (including when it starts inside).
+    sweepCircle(x0, y0, x1, y1, radius) {
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const a = dx * dx + dy * dy;
+        const c = x0 * x0 + y0 * y0 - radius * radius;
 
-        for (let i = 0; i < this.particleCount; i++) {
-            const x = this.positions[i * 2];
-            const y = this.positions[i * 2 + 1];
-            const cellX = Math.floor(x / this.cellSize);
-            const cellY = Math.floor(y / this.cellSize);
-            const key = `${cellX},${cellY}`;
+        if (c <= 0 || a < 1e-12) return -1;
+
+        const halfB = x0 * dx + y0 * dy;
+        if (halfB >= 0) return -1; // Moving away
 
-            if (!this.grid.has(key)) {
-                this.grid.set(key, []);
+        const disc = halfB * halfB - a * c;
+        if (disc < 0) return -1;
+
+        const t = (-halfB - Math.sqrt(disc)) / a;
+        return t <= 1 ? t : -1;
+    }
+
+    // Even-odd test for a point against a polygon's vertex list, in its local space
+    isPointInPolygon(vertices, x, y) {
+        let inside = false;
+        for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+            const [xi, yi] = vertices[i];
+            const [xj, yj] = vertices[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // Nearest point to (x, y) on a polygon's outline, or on an open chain of edges
+    // when closed is false, in its local space. Returns the squared distance and
+    // leaves the point in closestX/closestY and the index of its edge in closestEdge.
+    closestOnPolygon(vertices, x, y, closed = true) {
+        let bestSq = Infinity;
+        const edges = closed ? vertices.length : vertices.length - 1;
+        for (let i = 0; i < edges; i++) {
+            const [ax, ay] = vertices[i];
+            const [bx, by] = vertices[(i + 1) % vertices.length];
+            const edgeX = bx - ax;
+            const edgeY = by - ay;
+            const lengthSq = edgeX * edgeX + edgeY * edgeY;
+            const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * edgeX + (y - ay) * edgeY) / lengthSq)) : 0;
+            const cx = ax + edgeX * t;
+            const cy = ay + edgeY * t;
+            const distSq = (x - cx) * (x - cx) + (y - cy) * (y - cy);
+            if (distSq < bestSq) {
+                bestSq = distSq;
+                this.closestX = cx;
+                this.closestY = cy;
+                this.closestEdge = i;
+            }
+        }
+        return bestSq;
+    }
+
+    buildSpatialHash() {
+        // Counting sort of particle indices into a flat grid sized from bounds.
+        // cellStart[c]..cellStart[c] + cellCount[c] is the slice of sortedIndices
+        // holding the particles in cell c, so no per-frame allocations are made.
+        // Cells are stretched to tile the bounds exactly and stay at least cellSize
+        // wide, so neighbors across a periodic seam are adjacent cells too
+        const cols = Math.max(1, Math.floor(this.bounds.width / this.cellSize));
+        const rows = Math.max(1, Math.floor(this.bounds.height / this.cellSize));
+        const cellTotal = cols * rows;
+
+        if (!this.cellStart || this.cellStart.length !== cellTotal) {
+            this.cellStart = new Int32Array(cellTotal);
+            this.cellCount = new Int32Array(cellTotal);
+        }
+        if (!this.sortedIndices || this.sortedIndices.length < this.particleCount) {
+            this.sortedIndices = new Int32Array(this.particleCount);
+            this.particleCells = new Int32Array(this.particleCount);
+        }
+        this.gridCols = cols;
+        this.gridRows = rows;
+
+        const cellStart = this.cellStart;
+        const cellCount = this.cellCount;
+        const particleCells = this.particleCells;
+        const invCellWidth = cols / this.bounds.width;
+        const invCellHeight = rows / this.bounds.height;
+        const wrapX = this.wrapWidth > 0;
+        const wrapY = this.wrapHeight > 0;
+        cellCount.fill(0);
+
+        // Count particles per cell; particles outside the bounds (e.g. leaving
+        // through an open edge) are left out of the grid entirely, unless the axis
+        // wraps and they were just pushed over the seam
+        for (let i = 0; i < this.particleCount; i++) {
+            let cellX = Math.floor(this.positions[i * 2] * invCellWidth);
+            let cellY = Math.floor(this.positions[i * 2 + 1] * invCellHeight);
+            if (wrapX) cellX = (cellX % cols + cols) % cols;
+            if (wrapY) cellY = (cellY % rows + rows) % rows;
+
+            if (cellX < 0 || cellX >= cols || cellY < 0 || cellY >= rows) {
+                particleCells[i] = -1;
+                continue;
             }
-            this.grid.get(key).push(i);
+
+            const cell = cellY * cols + cellX;
+            particleCells[i] = cell;
+            cellCount[cell]++;
+        }
+
+        // Prefix sum into cell start offsets
+        let offset = 0;
+        for (let c = 0; c < cellTotal; c++) {
+            cellStart[c] = offset;
+            offset += cellCount[c];
+        }
+
+        // Scatter indices, using cellCount as a fill cursor and restoring it as we go
+        cellCount.fill(0);
+        for (let i = 0; i < this.particleCount; i++) {
+            const cell = particleCells[i];
+            if (cell < 0) continue;
+            this.sortedIndices[cellStart[cell] + cellCount[cell]] = i;
+            cellCount[cell]++;
         }
     }
 
     detectCollisionsOptimized() {
         const collisionDist = this.particleRadius * 2;
         const collisionDistSq = collisionDist * collisionDist;
+        const cols = this.gridCols;
+        const rows = this.gridRows;
+        const cellStart = this.cellStart;
+        const cellCount = this.cellCount;
+        const sorted = this.sortedIndices;
+        // Periodic axes need at least three cells, or a neighbor across the seam
+        // would be the same cell or visited twice
+        const wrapX = this.wrapWidth > 0 && cols >= 3;
+        const wrapY = this.wrapHeight > 0 && rows >= 3;
 
         // Process each cell
-        for (const [key, particles] of this.grid) {
-            if (particles.length === 0) continue;
-
-            const [cellX, cellY] = key.split(',').map(Number);
+        for (let cellY = 0; cellY < rows; cellY++) {
+            const belowY = cellY + 1 < rows ? cellY + 1 : wrapY ? 0 : -1;
 
-            // Check particles within same cell
-            for (let i = 0; i < particles.length; i++) {
-                const p1 = particles[i];
-                const idx1 = p1 * 2;
+            for (let cellX = 0; cellX < cols; cellX++) {
+                const cell = cellY * cols + cellX;
+                const count = cellCount[cell];
+                if (count === 0) continue;
 
-                // Check same cell
-                for (let j = i + 1; j < particles.length; j++) {
-                    const p2 = particles[j];
-                    this.handleCollision(p1, p2, collisionDistSq, collisionDist);
-                }
+                const start = cellStart[cell];
+                const end = start + count;
+                const rightX = cellX + 1 < cols ? cellX + 1 : wrapX ? 0 : -1;
+                const leftX = cellX > 0 ? cellX - 1 : wrapX ? cols - 1 : -1;
 
-                // Check neighboring cells (only right, down, and diagonal to avoid duplicates)
-                const neighbors = [
-                    `${cellX + 1},${cellY}`,     // right
-                    `${cellX},${cellY + 1}`,     // down
-                    `${cellX + 1},${cellY + 1}`, // diagonal down-right
-                    `${cellX - 1},${cellY + 1}`  // diagonal down-left
-                ];
+                for (let a = start; a < end; a++) {
+                    const p1 = sorted[a];
 
-                for (const neighborKey of neighbors) {
-                    const neighborParticles = this.grid.get(neighborKey);
-                    if (!neighborParticles) continue;
+                    // Check same cell
+                    for (let b = a + 1; b < end; b++) {
+                        this.handleCollision(p1, sorted[b], collisionDistSq, collisionDist);
+                    }
 
-                    for (const p2 of neighborParticles) {
-                        this.handleCollision(p1, p2, collisionDistSq, collisionDist);
+                    // Check neighboring cells (only right, down, and diagonals below to avoid duplicates)
+                    if (rightX >= 0) {
+                        this.collideWithCell(p1, cellY * cols + rightX, collisionDistSq, collisionDist);
+                    }
+                    if (belowY >= 0) {
+                        const below = belowY * cols;
+                        this.collideWithCell(p1, below + cellX, collisionDistSq, collisionDist);
+                        if (rightX >= 0) {
+                            this.collideWithCell(p1, below + rightX, collisionDistSq, collisionDist);
+                        }
+                        if (leftX >= 0) {
+                            this.collideWithCell(p1, below + leftX, collisionDistSq, collisionDist);
+                        }
                     }
                 }
             }
         }
     }
 
+    collideWithCell(p1, cell, collisionDistSq, collisionDist) {
+        const start = this.cellStart[cell];
+        const end = start + this.cellCount[cell];
+        const sorted = this.sortedIndices;
+
+        for (let b = start; b < end; b++) {
+            this.handleCollision(p1, sorted[b], collisionDistSq, collisionDist);
+        }
+    }
+
     handleCollision(i, j, collisionDistSq, collisionDist) {
         const idx1 = i * 2;
         const idx2 = j * 2;
 
-        const dx = this.positions[idx2] - this.positions[idx1];
-        const dy = this.positions[idx2 + 1] - this.positions[idx1 + 1];
+        // A frozen particle is part of an aggregate: it either catches the other
+        // particle (sticky mode) or acts as an immovable obstacle
+        const frozen = this.frozen;
+        const frozen1 = frozen ? frozen[i] : 0;
+        const frozen2 = frozen ? frozen[j] : 0;
+        if (frozen1 && frozen2) return;
+
+        // Damping sets the default: 1.0 is fully elastic, 0.0 fully inelastic (maps [0,1] -> [0.5, 1.0])
+        let restitution = 0.5 + this.damping * 0.5;
+        if (this.speciesIds) {
+            const pair = this.speciesIds[i] * this.species.length + this.speciesIds[j];
+            if (!this.speciesCollide[pair]) return;
+            if (this.speciesRestitution[pair] >= 0) {
+                restitution = this.speciesRestitution[pair];
+            }
+        }
+
+        if (this.radii) {
+            collisionDist = this.radii[i] + this.radii[j];
+            collisionDistSq = collisionDist * collisionDist;
+        }
+
+        // Nearest periodic image of the pair when the edges wrap
+        const dx = this.wrapDelta(this.positions[idx2] - this.positions[idx1], this.wrapWidth);
+        const dy = this.wrapDelta(this.positions[idx2 + 1] - this.positions[idx1 + 1], this.wrapHeight);
         const distSq = dx * dx + dy * dy;
 
         if (distSq < collisionDistSq && distSq > 0.01) {
@@ -799,34 +2882,53 @@ export class ParticleSimulation {
             const nx = dx / dist;
             const ny = dy / dist;
 
+            // Share of separation and impulse each particle takes (by inverse mass)
+            let share1 = 0.5;
+            let share2 = 0.5;
+            if (frozen1 || frozen2) {
+                share1 = frozen1 ? 0 : 1;
+                share2 = 1 - share1;
+            } else if (this.masses) {
+                const invMass1 = 1 / this.masses[i];
+                const invMass2 = 1 / this.masses[j];
+                share1 = invMass1 / (invMass1 + invMass2);
+                share2 = 1 - share1;
+            }
+
             // Separate particles
             const overlap = collisionDist - dist;
-            const separationX = nx * overlap * 0.5;
-            const separationY = ny * overlap * 0.5;
             
-            this.positions[idx1] -= separationX;
-            this.positions[idx1 + 1] -= separationY;
-            this.positions[idx2] += separationX;
-            this.positions[idx2 + 1] += separationY;
+            this.positions[idx1] -= nx * overlap * share1;
+            this.positions[idx1 + 1] -= ny * overlap * share1;
+            this.positions[idx2] += nx * overlap * share2;
+            this.positions[idx2 + 1] += ny * overlap * share2;
 
             // Elastic collision response
             const dvx = this.velocities[idx2] - this.velocities[idx1];
             const dvy = this.velocities[idx2 + 1] - this.velocities[idx1 + 1];
             const dvDotN = dvx * nx + dvy * ny;
 
-            if (dvDotN < 0) {
-                // Apply a small damping effect scaled from the damping property
-                // damping=1.0 means fully elastic, damping=0.0 means fully inelastic
-                const restitution = 0.5 + this.damping * 0.5; // maps [0,1] -> [0.5, 1.0]
-                const impulse = dvDotN * restitution;
-                this.velocities[idx1] += nx * impulse;
-                this.velocities[idx1 + 1] += ny * impulse;
-                this.velocities[idx2] -= nx * impulse;
-                this.velocities[idx2 + 1] -= ny * impulse;
+            if ((frozen1 || frozen2) && this.sticky) {
+                // The moving particle, now just touching, joins the aggregate
+                this.freezeParticle(frozen1 ? j : i);
+            } else if (dvDotN < 0) {
+                const impulse = 2 * dvDotN * restitution;
+                this.velocities[idx1] += nx * impulse * share1;
+                this.velocities[idx1 + 1] += ny * impulse * share1;
+                this.velocities[idx2] -= nx * impulse * share2;
+                this.velocities[idx2 + 1] -= ny * impulse * share2;
             }
         }
     }
 
+    wrapDelta(delta, size) {
+        // Shortest separation along an axis that wraps every size pixels (0 = no wrap)
+        if (size === 0) return delta;
+        if (delta > size * 0.5) return delta - size;
+        if (delta < -size * 0.5) return delta + size;
+        return delta;
+    }
+
     checkSensorHit(x1, y1, x2, y2) {
         const sensor = this.sensor;
         
@@ -875,7 +2977,147 @@ export class ParticleSimulation {
         return t >= 0 && t <= 1 && u >= 0 && u <= 1;
     }
 
+    loadPreset(preset) {
+        // Apply a (screen-scaled) preset to this simulation and initialize particles
+        this.particleCount = preset.particles;
+
+        this.clearShapes();
+        if (preset.shapes) {
+            preset.shapes.forEach(shape => {
+                this.addShape({...shape}); // Clone to avoid reference issues
+            });
+        }
+
+        this.sensor = preset.sensor || null;
+
+        // Set wrap edges BEFORE setEmitter and init
+        this.wrapEdges = preset.wrapEdges || false;
+        this.setBoundaries(preset.boundaries);
+        this.setEdgeTemperatures(preset.edgeTemperatures);
+        this.maxParticles = preset.maxParticles || 0;
+        this.lifetime = preset.lifetime || 0;
+        this.fade = preset.fade !== false;
+        // A single emitter is still accepted for older presets
+        this.setEmitters(preset.emitters || (preset.emitter ? [preset.emitter] : []));
+
+        this.particleRadius = preset.particleRadius || 2.0;
+        this.radiusRange = preset.radiusRange || null;
+        this.massRange = preset.massRange || null;
+        this.setSpecies(preset.species, preset.interactions);
+        this.setForces(preset.forces);
+        this.particleCharge = preset.particleCharge || 0;
+        this.setCoulomb(preset.coulomb);
+        this.setMagneticFields(preset.magneticFields);
+        this.setInteraction(preset.interaction, preset.interactionParams);
+        this.sticky = preset.sticky || false;
+        this.setThermostat(preset.thermostat);
+        this.frozenColor = preset.frozenColor || '#ffe080';
+
+        this.showForceField = preset.showForceField || false;
+        this.setSeed(preset.seed !== undefined ? preset.seed : SeededRandom.randomSeed());
+        this.init(preset.initType || 'center');
+
+        this.speedMultiplier = preset.speed !== undefined ? preset.speed : 1.0;
+        this.substeps = preset.substeps || 1;
+        this.stepSize = preset.stepSize || 1 / 60;
+        this.damping = preset.damping !== undefined ? preset.damping : 0.8;
+        this.particleCollisions = preset.particleCollisions !== false;
+    }
+
+    reset(particleCount, initType = 'center') {
+        this.resetShapes(); // Reset shapes to initial positions first
+        this.particleCount = particleCount;
+        this.init(initType);
+    }
+
+    setBounds(width, height) {
+        // Bounds are in CSS pixels, not canvas resolution
+        this.bounds.width = width;
+        this.bounds.height = height;
+
+        // Reinitialize force field if it exists
+        if (this.showForceField) {
+            this.initForceField();
+        }
+    }
+
+    setSpeed(speed) {
+        this.speedMultiplier = speed;
+    }
+
+    setSubsteps(substeps) {
+        this.substeps = Math.max(1, Math.round(substeps));
+    }
+
+    setStepSize(stepSize) {
+        this.stepSize = stepSize;
+        this.timeAccumulator = 0;
+    }
+
+    setDamping(damping) {
+        this.damping = damping;
+    }
+
+    setWrapEdges(wrap) {
+        this.wrapEdges = wrap;
+    }
+
+    setBoundaries(boundaries) {
+        // Each edge is a type name or { type, ...options }; missing edges reflect.
+        // Inflow edges take { speed, density, temperature, species }.
+        const edges = {};
+        for (const side of ['left', 'right', 'top', 'bottom']) {
+            const value = boundaries?.[side] ?? 'reflect';
+            const edge = typeof value === 'string' ? { type: value } : { type: 'reflect', ...value };
+            if (!ParticleSimulation.edgeTypes.includes(edge.type)) {
+                console.warn(`Unknown boundary type "${edge.type}" on the ${side} edge, reflecting instead`);
+                edge.type = 'reflect';
+            }
+            edge.accumulator = 0;
+            edges[side] = edge;
+        }
+
+        // Periodic edges only make sense in opposite pairs
+        if (edges.left.type === 'wrap' || edges.right.type === 'wrap') {
+            edges.left.type = edges.right.type = 'wrap';
+        }
+        if (edges.top.type === 'wrap' || edges.bottom.type === 'wrap') {
+            edges.top.type = edges.bottom.type = 'wrap';
+        }
+
+        this.boundaries = edges;
+        this.hasInflow = Object.values(edges).some(edge => edge.type === 'inflow');
+    }
+
+    setEdgeTemperatures(temperatures) {
+        this.edgeTemperatures = temperatures ? { ...temperatures } : null;
+    }
+
+    setParticleCollisions(enabled) {
+        this.particleCollisions = enabled;
+    }
+
+    setPointerShape(shape) {
+        // Replace the temporary shape dragged around by the mouse (null removes it)
+        if (this.pointerShape) {
+            const idx = this.shapes.indexOf(this.pointerShape);
+            if (idx !== -1) this.shapes.splice(idx, 1);
+        }
+        this.pointerShape = shape;
+        if (shape) {
+            this.shapes.push(shape);
+        }
+    }
+
     addShape(shape) {
+        if (shape.sink) {
+            this.resetSinkStats(shape);
+        }
+        if (shape.type === 'polygon') {
+            this.preparePolygon(shape);
+        } else if (shape.type === 'segment' || shape.type === 'polyline') {
+            this.prepareWall(shape);
+        }
         this.shapes.push(shape);
         this.initialShapeStates.push({
             x: shape.x,
@@ -886,12 +3128,50 @@ export class ParticleSimulation {
             vx: shape.vx !== undefined ? shape.vx : 0,
             vy: shape.vy !== undefined ? shape.vy : 0,
             angle: shape.angle || 0,
+            rotationSpeed: shape.rotationSpeed || 0,
             type: shape.type,
             bounceX: shape.bounceX || false,
             bounceY: shape.bounceY || false
         });
     }
 
+    preparePolygon(shape) {
+        // Vertices are relative to x/y, which is also the pivot the polygon rotates
+        // about. The winding sign turns edge directions into outward normals, and the
+        // bounding radius lets collisions skip particles that are nowhere near.
+        const vertices = shape.vertices;
+        let area = 0;
+        let radiusSq = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const [ax, ay] = vertices[i];
+            const [bx, by] = vertices[(i + 1) % vertices.length];
+            area += ax * by - bx * ay;
+            radiusSq = Math.max(radiusSq, ax * ax + ay * ay);
+        }
+        shape.winding = area < 0 ? -1 : 1;
+        shape.boundingRadius = Math.sqrt(radiusSq);
+    }
+
+    prepareWall(shape) {
+        // Walls are drawn in absolute coordinates: a segment from x1/y1 to x2/y2, a
+        // polyline through its points. They pivot about the center of their bounding
+        // box, and are stored like polygons as vertices relative to that pivot; the
+        // box's half extents let collisions skip particles that are nowhere near.
+        const points = shape.type === 'segment' ? [[shape.x1, shape.y1], [shape.x2, shape.y2]] : shape.points;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const [x, y] of points) {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
+        shape.x = (minX + maxX) / 2;
+        shape.y = (minY + maxY) / 2;
+        shape.halfWidth = (maxX - minX) / 2;
+        shape.halfHeight = (maxY - minY) / 2;
+        shape.vertices = points.map(([x, y]) => [x - shape.x, y - shape.y]);
+    }
+
     resetShapes() {
         for (let i = 0; i < this.shapes.length; i++) {
             const shape = this.shapes[i];
@@ -900,13 +3180,19 @@ export class ParticleSimulation {
             if (initialState) {
                 shape.x = initialState.x;
                 shape.y = initialState.y;
-                if (shape.type === 'circle' && shape.moveable) {
+                if (shape.moveable && (shape.type === 'circle' || shape.type === 'rect')) {
                     shape.vx = initialState.vx;
                     shape.vy = initialState.vy;
                 }
                 if (shape.rotating) {
                     shape.angle = initialState.angle;
                 }
+                if (shape.moveable && shape.type === 'rect') {
+                    shape.rotationSpeed = initialState.rotationSpeed;
+                }
+            }
+            if (shape.sink) {
+                this.resetSinkStats(shape);
             }
         }
     }
@@ -914,6 +3200,7 @@ export class ParticleSimulation {
     clearShapes() {
         this.shapes = [];
         this.initialShapeStates = [];
+        this.pointerShape = null;
     }
 
     updateForceField() {
@@ -990,70 +3277,254 @@ export class ParticleSimulation {
         }
     }
 
-    setEmitter(emitter) {
-        this.emitter = emitter;
-        this.emitterAccumulator = 0;
-        
-        // If emitter is set, initialize with max particles
-        if (emitter && emitter.maxParticles) {
-            this.particleCount = emitter.maxParticles;
-            this.positions = new Float32Array(this.particleCount * 2);
-            this.velocities = new Float32Array(this.particleCount * 2);
-            this.activeParticles = 0;
-            
-            // Fill positions off-screen initially
+    setEmitters(emitters) {
+        // Each emitter is { type, x, y, ... } with type 'disk' (default), 'point',
+        // 'line' (from x, y to x2, y2) or 'arc' (radius, startAngle, endAngle around
+        // x, y). Angles are in degrees. Optional fields:
+        //   direction, spread          - cone to fire into (default: away from the source)
+        //   particleSpeed, speedSpread - mean speed and its relative spread
+        //   speedDistribution          - 'uniform' (default) or 'normal'
+        //   particlesPerSecond         - steady rate, or
+        //   burst, frequency           - burst particles, frequency times a second
+        //   shape                      - index of a shape the emitter rides on; x, y
+        //                                (and x2, y2) are then relative to its center
+        //   maxParticles, species      - pool size and species of emitted particles
+        //   lifetime                   - seconds its particles live (default: the preset's)
+        // Pool sizes are taken when the simulation is initialized.
+        emitters = emitters || [];
+        if (emitters.length > ParticleSimulation.maxEmitters) {
+            console.warn(`Only ${ParticleSimulation.maxEmitters} emitters are supported, ignoring the rest`);
+            emitters = emitters.slice(0, ParticleSimulation.maxEmitters);
+        }
+        this.emitters = emitters.map(emitter => ({ ...emitter }));
+        this.resetEmitters();
+    }
+
+    resetEmitters() {
+        this.emitters.forEach(emitter => {
+            emitter.count = 0; // Live particles from this emitter
+            emitter.oldest = -1; // Ends of the list of its particles in emission order
+            emitter.newest = -1;
+            // Pulsed emitters fire their first burst right away
+            emitter.accumulator = emitter.frequency ? 1 : 0;
+            this.placeEmitter(emitter);
+        });
+    }
+
+    initLifetimes(count) {
+        const hasLifetimes = this.lifetime > 0 || this.emitters.some(emitter => emitter.lifetime > 0);
+        if (!hasLifetimes) {
+            this.lifetimes = null;
+            this.fades = null;
+            return;
+        }
+
+        this.lifetimes = new Float32Array(count);
+        this.fades = new Float32Array(count).fill(1);
+
+        if (this.lifetime > 0) {
+            // Initial particles start at random ages so they don't all expire together
             for (let i = 0; i < this.particleCount; i++) {
-                this.positions[i * 2] = -1000;
-                this.positions[i * 2 + 1] = -1000;
-                this.velocities[i * 2] = 0;
-                this.velocities[i * 2 + 1] = 0;
+                this.lifetimes[i] = this.lifetime;
+                this.births[i] = this.time - this.random() * this.lifetime;
             }
         }
     }
 
-    updateEmitter(dt) {
-        if (!this.emitter || !this.emitter.particlesPerSecond) return;
-        
-        // Accumulate time for particle emission
-        this.emitterAccumulator += dt;
-        
-        // Calculate how many particles to emit this frame
-        const emitInterval = 1.0 / this.emitter.particlesPerSecond;
-        let particlesToEmit = 0;
-        
-        while (this.emitterAccumulator >= emitInterval) {
-            particlesToEmit++;
-            this.emitterAccumulator -= emitInterval;
+    expireParticles() {
+        // Return particles past their lifetime to the pool and update how faded the rest are
+        const lifetimes = this.lifetimes;
+        const births = this.births;
+        const fades = this.fades;
+
+        for (let i = 0; i < this.particleCount; i++) {
+            const lifetime = lifetimes[i];
+            if (lifetime <= 0) {
+                fades[i] = 1;
+                continue;
+            }
+
+            const age = this.time - births[i];
+            if (age >= lifetime) {
+                if (this.removeParticle(i)) i--;
+                continue;
+            }
+            fades[i] = this.fade ? 1 - age / lifetime : 1;
         }
-        
-        // Emit particles
-        for (let i = 0; i < particlesToEmit; i++) {
-            // Check if we've reached max particles
-            if (this.emitter.maxParticles && this.activeParticles >= this.emitter.maxParticles) {
-                // Reuse oldest particle by shifting it to the emitter
-                this.emitParticle(0);
-            } else if (this.activeParticles < this.particleCount) {
-                // Emit new particle
-                this.emitParticle(this.activeParticles);
-                this.activeParticles++;
+    }
+
+    initEmitterIds(count) {
+        // Which emitter each particle came from (-1 for none), for per-emitter pools.
+        // Each emitter's particles are also linked from oldest to newest, so a full
+        // pool recycles its oldest particle without searching for it.
+        const hasEmitters = this.emitters.length > 0;
+        this.emitterIds = hasEmitters ? new Int16Array(count).fill(-1) : null;
+        this.emitterOlder = hasEmitters ? new Int32Array(count) : null;
+        this.emitterNewer = hasEmitters ? new Int32Array(count) : null;
+        this.resetEmitters();
+    }
+
+    linkEmitted(index) {
+        // Append the particle as its emitter's newest
+        const emitter = this.emitters[this.emitterIds[index]];
+        this.emitterOlder[index] = emitter.newest;
+        this.emitterNewer[index] = -1;
+        if (emitter.newest >= 0) this.emitterNewer[emitter.newest] = index;
+        else emitter.oldest = index;
+        emitter.newest = index;
+    }
+
+    unlinkEmitted(index) {
+        const emitter = this.emitters[this.emitterIds[index]];
+        const older = this.emitterOlder[index];
+        const newer = this.emitterNewer[index];
+        if (older >= 0) this.emitterNewer[older] = newer;
+        else emitter.oldest = newer;
+        if (newer >= 0) this.emitterOlder[newer] = older;
+        else emitter.newest = older;
+    }
+
+    placeEmitter(emitter) {
+        // World-space origin, end point and rotation, following the attached shape
+        const shape = emitter.shape !== undefined ? this.shapes[emitter.shape] : null;
+        const x2 = emitter.x2 ?? emitter.x;
+        const y2 = emitter.y2 ?? emitter.y;
+
+        if (!shape) {
+            emitter.originX = emitter.x;
+            emitter.originY = emitter.y;
+            emitter.endX = x2;
+            emitter.endY = y2;
+            emitter.rotation = 0;
+            return;
+        }
+
+        const centerX = shape.type === 'rect' ? shape.x + shape.width / 2 : shape.x;
+        const centerY = shape.type === 'rect' ? shape.y + shape.height / 2 : shape.y;
+        const rotation = shape.angle || 0;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+
+        emitter.originX = centerX + emitter.x * cos - emitter.y * sin;
+        emitter.originY = centerY + emitter.x * sin + emitter.y * cos;
+        emitter.endX = centerX + x2 * cos - y2 * sin;
+        emitter.endY = centerY + x2 * sin + y2 * cos;
+        emitter.rotation = rotation;
+    }
+
+    updateEmitters(dt) {
+        for (let e = 0; e < this.emitters.length; e++) {
+            const emitter = this.emitters[e];
+            this.placeEmitter(emitter);
+
+            // Accumulate fractional particles (steady) or bursts (pulsed)
+            let particlesToEmit = 0;
+            if (emitter.frequency) {
+                emitter.accumulator += emitter.frequency * dt;
+                while (emitter.accumulator >= 1) {
+                    particlesToEmit += emitter.burst || 1;
+                    emitter.accumulator--;
+                }
+            } else if (emitter.particlesPerSecond) {
+                emitter.accumulator += emitter.particlesPerSecond * dt;
+                particlesToEmit = Math.floor(emitter.accumulator);
+                emitter.accumulator -= particlesToEmit;
+            }
+
+            if (particlesToEmit > 0) {
+                this.emitParticles(e, particlesToEmit);
             }
         }
     }
 
-    emitParticle(index) {
+    emitParticles(e, count) {
+        // Emit into free slots, recycling this emitter's oldest particles once its
+        // pool (or the whole simulation) is full
+        const emitter = this.emitters[e];
+        let emitted = 0;
+
+        while (emitted < count && (!emitter.maxParticles || emitter.count < emitter.maxParticles)) {
+            const index = this.addParticle(0, 0, 0, 0, emitter.species ?? 0);
+            if (index < 0) break;
+            this.emitterIds[index] = e;
+            this.linkEmitted(index);
+            emitter.count++;
+            this.emitParticle(index, emitter);
+            emitted++;
+        }
+
+        if (emitted === count) return;
+
+        // Recycle the oldest particles, each at most once per call, moving them to
+        // the newest end of the list
+        const recycles = Math.min(count - emitted, emitter.count);
+        for (let k = 0; k < recycles; k++) {
+            const index = emitter.oldest;
+            this.unlinkEmitted(index);
+            this.linkEmitted(index);
+            this.births[index] = this.time;
+            if (this.frozen) this.frozen[index] = 0;
+            this.emitParticle(index, emitter);
+        }
+    }
+
+    emitParticle(index, emitter) {
         const idx = index * 2;
-        
-        // Random angle for emission
-        const angle = Math.random() * Math.PI * 2;
-        
-        // Position at emitter location with small random offset
-        const offsetRadius = Math.random() * this.emitter.radius * 0.5;
-        this.positions[idx] = this.emitter.x + Math.cos(angle) * offsetRadius;
-        this.positions[idx + 1] = this.emitter.y + Math.sin(angle) * offsetRadius;
-        
-        // Velocity in random direction
-        const speed = this.emitter.particleSpeed * (0.8 + Math.random() * 0.4);
+        const toRadians = Math.PI / 180;
+        let x = emitter.originX;
+        let y = emitter.originY;
+        let outward;
+
+        // Where on the source the particle starts, and which way is away from it
+        if (emitter.type === 'point') {
+            outward = this.random() * Math.PI * 2;
+        } else if (emitter.type === 'line') {
+            const t = this.random();
+            x += (emitter.endX - x) * t;
+            y += (emitter.endY - y) * t;
+            // Perpendicular to the line: a line drawn downwards fires to the right
+            outward = Math.atan2(emitter.endY - emitter.originY, emitter.endX - emitter.originX) - Math.PI / 2;
+        } else if (emitter.type === 'arc') {
+            const start = (emitter.startAngle ?? 0) * toRadians;
+            const end = (emitter.endAngle ?? 360) * toRadians;
+            outward = emitter.rotation + start + this.random() * (end - start);
+            x += Math.cos(outward) * emitter.radius;
+            y += Math.sin(outward) * emitter.radius;
+        } else {
+            // Disk: random angle with a small random offset from the center
+            outward = this.random() * Math.PI * 2;
+            const offsetRadius = this.random() * (emitter.radius || 0) * 0.5;
+            x += Math.cos(outward) * offsetRadius;
+            y += Math.sin(outward) * offsetRadius;
+        }
+
+        let angle = emitter.direction !== undefined ? emitter.direction * toRadians + emitter.rotation : outward;
+        if (emitter.spread) {
+            angle += (this.random() - 0.5) * emitter.spread * toRadians;
+        }
+
+        const spread = emitter.speedSpread ?? 0.2;
+        const variation = emitter.speedDistribution === 'normal'
+            ? this.gaussian() * spread
+            : (this.random() * 2 - 1) * spread;
+        const speed = (emitter.particleSpeed || 0) * Math.max(0, 1 + variation);
+
+        this.positions[idx] = x;
+        this.positions[idx + 1] = y;
         this.velocities[idx] = Math.cos(angle) * speed;
         this.velocities[idx + 1] = Math.sin(angle) * speed;
+        if (this.lifetimes) {
+            this.lifetimes[index] = emitter.lifetime ?? this.lifetime;
+        }
+
+        // Emitters riding on a shape also pass on its motion
+        const shape = emitter.shape !== undefined ? this.shapes[emitter.shape] : null;
+        if (shape) {
+            const angularVelocity = shape.rotating ? shape.rotationSpeed || 0 : 0;
+            const centerX = shape.type === 'rect' ? shape.x + shape.width / 2 : shape.x;
+            const centerY = shape.type === 'rect' ? shape.y + shape.height / 2 : shape.y;
+            this.velocities[idx] += (shape.vx || 0) - (y - centerY) * angularVelocity;
+            this.velocities[idx + 1] += (shape.vy || 0) + (x - centerX) * angularVelocity;
+        }
     }
 }
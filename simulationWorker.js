@@ -0,0 +1,99 @@
+import { ParticleSimulation } from './simulation.js';
+import { WorkerSimulation } from './workerSimulation.js';
+
+// Hosts a ParticleSimulation off the main thread. WorkerSimulation drives it
+// with messages and renders the frames posted back from here.
+
+let simulation = new ParticleSimulation(0);
+let useShared = false;
+const sharedArrays = {};
+
+self.onmessage = (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'init':
+            useShared = message.shared;
+            break;
+
+        case 'load':
+            simulation = new ParticleSimulation(message.preset.particles);
+            simulation.setBounds(message.bounds.width, message.bounds.height);
+            simulation.loadPreset(message.preset);
+            postFrame(null, false);
+            break;
+
+        case 'call':
+            if (typeof simulation[message.method] !== 'function') {
+                console.error('Unknown simulation method:', message.method);
+                return;
+            }
+            simulation[message.method](...message.args);
+            if (message.refresh) {
+                postFrame(null, false);
+            }
+            break;
+
+        case 'step':
+            simulation.update(message.deltaTime);
+            postFrame(message.buffers, true);
+            break;
+    }
+};
+
+function postFrame(recycled, stepped) {
+    const frame = {
+        stepped,
+        particleCount: simulation.particleCount,
+        particleRadius: simulation.particleRadius,
+        species: simulation.species,
+        frozenColor: simulation.frozenColor,
+        shapes: simulation.shapes,
+        sensor: simulation.sensor,
+        emitters: simulation.emitters,
+        forces: simulation.forces,
+        magneticFields: simulation.magneticFields,
+        forceFieldWidth: simulation.forceFieldWidth,
+        forceFieldHeight: simulation.forceFieldHeight,
+        forceFieldResolution: simulation.forceFieldResolution
+    };
+    const transfer = [];
+
+    for (const name of WorkerSimulation.frameArrays) {
+        const source = simulation[name];
+
+        if (useShared) {
+            // Shared arrays are posted only when (re)allocated; afterwards the
+            // main thread reads them in place
+            let target = sharedArrays[name];
+            if (!source) {
+                if (target) {
+                    delete sharedArrays[name];
+                    frame[name] = null;
+                }
+                continue;
+            }
+            if (!target || target.length !== source.length) {
+                target = new source.constructor(new SharedArrayBuffer(source.byteLength));
+                sharedArrays[name] = target;
+                frame[name] = target;
+            }
+            target.set(source);
+        } else {
+            if (!source) {
+                frame[name] = null;
+                continue;
+            }
+            // Reuse the buffers the main thread handed back when they still fit
+            let target = recycled && recycled[name];
+            if (!target || target.length !== source.length) {
+                target = new source.constructor(source.length);
+            }
+            target.set(source);
+            frame[name] = target;
+            transfer.push(target.buffer);
+        }
+    }
+
+    self.postMessage(frame, transfer);
+}
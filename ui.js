@@ -192,6 +192,26 @@ export class UIController {
             this.app.setSpeed(speed);
         });
 
+        // Substeps slider
+        const substepsSlider = document.getElementById('substepsSlider');
+        const substepsValue = document.getElementById('substepsValue');
+        
+        substepsSlider.addEventListener('input', (e) => {
+            const substeps = parseInt(e.target.value);
+            substepsValue.textContent = substeps;
+            this.app.setSubsteps(substeps);
+        });
+
+        // Step size slider (shown in milliseconds, simulation uses seconds)
+        const stepSizeSlider = document.getElementById('stepSizeSlider');
+        const stepSizeValue = document.getElementById('stepSizeValue');
+        
+        stepSizeSlider.addEventListener('input', (e) => {
+            const stepMs = parseFloat(e.target.value);
+            stepSizeValue.textContent = stepMs.toFixed(1) + ' ms';
+            this.app.setStepSize(stepMs / 1000);
+        });
+
         // Damping slider
         const dampingSlider = document.getElementById('dampingSlider');
         const dampingValue = document.getElementById('dampingValue');
@@ -202,6 +222,33 @@ export class UIController {
             this.app.setDamping(damping);
         });
 
+        // Thermostat select and target temperature slider
+        const thermostatSelect = document.getElementById('thermostatSelect');
+        thermostatSelect.addEventListener('change', (e) => {
+            this.app.setThermostatType(e.target.value);
+        });
+
+        const temperatureSlider = document.getElementById('temperatureSlider');
+        const temperatureValue = document.getElementById('temperatureValue');
+        
+        temperatureSlider.addEventListener('input', (e) => {
+            const temperature = parseFloat(e.target.value);
+            temperatureValue.textContent = temperature.toFixed(0);
+            this.app.setTemperature(temperature);
+        });
+
+        // Seed input - restarts the run with the new seed
+        const seedInput = document.getElementById('seedInput');
+        seedInput.addEventListener('change', (e) => {
+            const seed = parseInt(e.target.value);
+            if (isNaN(seed) || seed < 0) {
+                e.target.value = this.app.seed;
+                return;
+            }
+            this.app.setSeed(seed);
+            this.app.reset(parseInt(document.getElementById('particleCountSlider').value));
+        });
+
         // Reset button
         document.getElementById('resetBtn').addEventListener('click', () => {
             const particleCount = parseInt(document.getElementById('particleCountSlider').value);
@@ -243,40 +290,22 @@ export class UIController {
                 this.app.toggleParticleCollisions(e.target.checked);
             });
         }
+
+        // Worker checkbox
+        const workerCheckbox = document.getElementById('workerCheckbox');
+        if (workerCheckbox) {
+            if (typeof Worker === 'undefined') {
+                workerCheckbox.disabled = true;
+            }
+            workerCheckbox.addEventListener('change', (e) => {
+                this.app.toggleWorker(e.target.checked, this.currentPresetIndex);
+            });
+        }
     }
 
     reloadPresetWithParticleCount(newParticleCount) {
-        // Get the current preset
-        const preset = this.app.presetLoader.getPresetByIndex(this.currentPresetIndex);
-        if (!preset) return;
-
-        // Create a modified preset with new particle count
-        const modifiedPreset = { ...preset, particles: newParticleCount };
-        
-        // Reload with modified preset
-        const rect = this.app.canvas.getBoundingClientRect();
-        this.app.simulation = new (this.app.simulation.constructor)(modifiedPreset.particles);
-        this.app.simulation.bounds.width = rect.width;
-        this.app.simulation.bounds.height = rect.height;
-        this.app.simulation.shapes = modifiedPreset.shapes || [];
-        this.app.simulation.sensor = modifiedPreset.sensor || null;
-        this.app.simulation.init(modifiedPreset.initType || 'center');
-        
-        // Restore other settings from preset
-        if (modifiedPreset.glowIntensity !== undefined) {
-            this.app.renderer.glowIntensity = modifiedPreset.glowIntensity;
-        }
-        if (modifiedPreset.particleSize !== undefined) {
-            this.app.renderer.particleSize = modifiedPreset.particleSize;
-        }
-        if (modifiedPreset.speed !== undefined) {
-            this.app.simulation.speedMultiplier = modifiedPreset.speed;
-        }
-        if (modifiedPreset.damping !== undefined) {
-            this.app.simulation.damping = modifiedPreset.damping;
-        }
-        
-        document.getElementById('particleCount').textContent = newParticleCount.toLocaleString();
+        // Reload the current preset with the new particle count, keeping the seed
+        this.app.loadPreset(this.currentPresetIndex, { particles: newParticleCount, seed: this.app.seed });
     }
 
     updateParticleCount(count) {
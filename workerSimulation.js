@@ -0,0 +1,198 @@
+import { ParticleSimulation } from './simulation.js';
+
+// Main-thread stand-in for a ParticleSimulation hosted in simulationWorker.js.
+// It exposes the same render state and control methods as ParticleSimulation,
+// forwarding every change to the worker as a message.
+export class WorkerSimulation {
+    // Typed arrays the worker copies out for the renderer every frame
+    static frameArrays = ['positions', 'velocities', 'radii', 'speciesIds', 'frozen', 'fades', 'sensorHits', 'forceField'];
+
+    constructor() {
+        this.worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+        this.bounds = { width: 1920, height: 1080 };
+
+        // SharedArrayBuffer is only available when the page is cross-origin isolated,
+        // otherwise frames are double-buffered transferables
+        this.shared = typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated === true;
+
+        // Render state mirrored from the worker
+        this.particleCount = 0;
+        this.positions = null;
+        this.velocities = null;
+        this.radii = null;
+        this.particleRadius = 2.0;
+        this.species = null;
+        this.speciesIds = null;
+        this.frozen = null;
+        this.frozenColor = '#ffe080';
+        this.fades = null;
+        this.shapes = [];
+        this.sensor = null;
+        this.sensorHits = null;
+        this.forceField = null;
+        this.forceFieldWidth = 0;
+        this.forceFieldHeight = 0;
+        this.forceFieldResolution = 20;
+        this.emitters = [];
+        this.forces = [];
+        this.magneticFields = [];
+
+        // Only one step is in flight at a time; time from frames rendered
+        // meanwhile is carried into the next step
+        this.stepInFlight = false;
+        this.pendingTime = 0;
+        this.spareBuffers = null; // Previous frame's arrays, handed back to the worker for reuse
+
+        this.worker.onmessage = (e) => this.handleFrame(e.data);
+        this.worker.onerror = (e) => console.error('Simulation worker error:', e.message);
+        this.worker.postMessage({ type: 'init', shared: this.shared });
+    }
+
+    handleFrame(frame) {
+        if (frame.stepped) {
+            this.stepInFlight = false;
+        }
+
+        this.particleCount = frame.particleCount;
+        this.particleRadius = frame.particleRadius;
+        this.species = frame.species;
+        this.frozenColor = frame.frozenColor;
+        this.shapes = frame.shapes;
+        this.sensor = frame.sensor;
+        this.emitters = frame.emitters;
+        this.forces = frame.forces;
+        this.magneticFields = frame.magneticFields;
+        this.forceFieldWidth = frame.forceFieldWidth;
+        this.forceFieldHeight = frame.forceFieldHeight;
+        this.forceFieldResolution = frame.forceFieldResolution;
+
+        const spare = {};
+        for (const name of WorkerSimulation.frameArrays) {
+            // Shared arrays are only posted when (re)allocated, so a missing key means unchanged
+            if (!(name in frame)) continue;
+            if (!this.shared && this[name]) {
+                spare[name] = this[name];
+            }
+            this[name] = frame[name];
+        }
+        if (!this.shared) {
+            this.spareBuffers = spare;
+        }
+    }
+
+    update(deltaTime) {
+        this.pendingTime += deltaTime;
+        if (this.stepInFlight) return;
+
+        const transfer = [];
+        if (this.spareBuffers) {
+            for (const name in this.spareBuffers) {
+                transfer.push(this.spareBuffers[name].buffer);
+            }
+        }
+
+        this.worker.postMessage({ type: 'step', deltaTime: this.pendingTime, buffers: this.spareBuffers }, transfer);
+        this.spareBuffers = null;
+        this.pendingTime = 0;
+        this.stepInFlight = true;
+    }
+
+    call(method, args, refresh = false) {
+        // refresh asks the worker to post a frame right away, so changes show while paused
+        this.worker.postMessage({ type: 'call', method, args, refresh });
+    }
+
+    loadPreset(preset) {
+        this.worker.postMessage({ type: 'load', preset, bounds: this.bounds });
+    }
+
+    reset(particleCount, initType = 'center') {
+        this.call('reset', [particleCount, initType], true);
+    }
+
+    setBounds(width, height) {
+        this.bounds = { width, height };
+        this.call('setBounds', [width, height]);
+    }
+
+    setSeed(seed) {
+        this.call('setSeed', [seed]);
+    }
+
+    setSpeed(speed) {
+        this.call('setSpeed', [speed]);
+    }
+
+    setSubsteps(substeps) {
+        this.call('setSubsteps', [substeps]);
+    }
+
+    setStepSize(stepSize) {
+        this.call('setStepSize', [stepSize]);
+    }
+
+    setDamping(damping) {
+        this.call('setDamping', [damping]);
+    }
+
+    setShowForceField(show) {
+        this.call('setShowForceField', [show], true);
+    }
+
+    setWrapEdges(wrap) {
+        this.call('setWrapEdges', [wrap]);
+    }
+
+    setBoundaries(boundaries) {
+        this.call('setBoundaries', [boundaries]);
+    }
+
+    setEdgeTemperatures(temperatures) {
+        this.call('setEdgeTemperatures', [temperatures]);
+    }
+
+    setParticleCollisions(enabled) {
+        this.call('setParticleCollisions', [enabled]);
+    }
+
+    setForces(forces) {
+        this.call('setForces', [forces], true);
+    }
+
+    setCoulomb(coulomb) {
+        this.call('setCoulomb', [coulomb]);
+    }
+
+    setInteraction(interaction, params) {
+        this.call('setInteraction', [interaction, params]);
+    }
+
+    setThermostatType(type) {
+        this.call('setThermostatType', [type]);
+    }
+
+    setTemperature(temperature) {
+        this.call('setTemperature', [temperature]);
+    }
+
+    setMagneticFields(fields) {
+        this.call('setMagneticFields', [fields], true);
+    }
+
+    setPointerShape(shape) {
+        this.call('setPointerShape', [shape], true);
+    }
+
+    clearShapes() {
+        this.call('clearShapes', [], true);
+    }
+
+    getSinkStats() {
+        // Sink totals ride along with the shapes in every frame
+        return ParticleSimulation.sinkStats(this.shapes);
+    }
+
+    terminate() {
+        this.worker.terminate();
+    }
+}